@@ -1,10 +1,40 @@
 // Audio context
 let audioContext;
 let gainNode;
+let noiseGainNode;
+let trackGainNode;
+// Ducking of the background track: the gain the track passes through, the input the beats' fade envelopes
+// feed into, and the duck amount scaling them
+let trackDuckNode;
+let beatEnvelopeInput;
+let trackDuckAmountNode;
 
-// Oscillator pairs (for crossfading)
-let activeOscillators = null;
-let nextOscillators = null;
+// Analysers tapping the left and right channels of the beats, and the pending analyser animation frame
+let analyserLeft = null;
+let analyserRight = null;
+let analyserFrame = null;
+
+// Background noise bed (live playback)
+let noisePlayback = null;
+
+// User-supplied background track: { name, buffer } with the buffer already prepared for looping
+let backgroundTrack = null;
+let trackSource = null;
+
+// Segments scheduled on the audio clock: { segmentIndex, oscPair, marker, start } with start in audio context
+// seconds, and the most recently scheduled one. Consecutive segments may share an oscillator pair
+let scheduledSegments = [];
+let lastScheduled = null;
+// Every oscillator pair scheduled or still sounding, including ones fading out after their segment ended
+let liveOscillatorPairs = [];
+// Transition style of the session playing
+let playbackTransition = 'continuous';
+// Next segment to schedule, and where it starts in the session (milliseconds)
+let nextScheduledIndex = 0;
+let nextScheduledStart = 0;
+
+// MP3 encoder script while it loads, so exports share one request
+let lameLoading = null;
 
 // Session state
 let isPlaying = false;
@@ -19,32 +49,286 @@ let updateInterval;
 let lastFrequencyChange = 0; // Track last frequency change
 let currentBinauralFrequency = 0;
 
+// Carrier (base tone) used when the instructions don't set one, and the range allowed for carriers
+const DEFAULT_BASE_TONE = 432;
+const MIN_CARRIER = 20;
+const MAX_CARRIER = 2000;
+
+// Settings used for anything neither the instructions nor the page controls provide
+const DEFAULT_SESSION_SETTINGS = {
+    carrier: DEFAULT_BASE_TONE,
+    mode: 'binaural',
+    pulseShape: 'square',
+    waveform: 'sine'
+};
+
+// Carrier timbres: a built-in oscillator type, or harmonic amplitudes (fundamental first) for a PeriodicWave
+// Harmonics are kept quiet relative to the fundamental, since in binaural mode each one beats at a multiple of the beat frequency
+const WAVEFORMS = {
+    'sine': 'sine',
+    'triangle': 'triangle',
+    'soft-square': [1, 0, 0.3, 0, 0.15, 0, 0.07],
+    'warm-pad': [1, 0.5, 0.25, 0.12, 0.06, 0.03],
+    'organ': [1, 0.7, 0.5, 0.35, 0, 0.2, 0, 0.15]
+};
+
+// Number of harmonics in the soft-edged isochronic pulse shapes, and in the exporter's triangle carrier
+const PULSE_HARMONICS = 9;
+const TRIANGLE_HARMONICS = 9;
+
+// Background noise: block length, how far ahead live playback queues blocks, and gain at 100% level
+const NOISE_BLOCK_SECONDS = 5;
+const NOISE_LOOKAHEAD_SECONDS = 12;
+const NOISE_MAX_GAIN = 0.4;
+
+// Background track: gain at 100% level and the crossfade joining its end back to its start
+const TRACK_MAX_GAIN = 1;
+const TRACK_LOOP_CROSSFADE_SECONDS = 3;
+
+// Analyser FFT size: large enough to separate carriers a few Hz apart
+const ANALYSER_FFT_SIZE = 32768;
+// Samples of each channel traced on the stereo phase scope
+const SCOPE_SAMPLES = 1024;
+// Level below which the analyser reports no signal (dB)
+const ANALYSER_SILENCE_DB = -90;
+
+// Brainwave bands shaded behind the frequency timeline, by beat frequency
+const BRAINWAVE_BANDS = [
+    { name: 'Delta', min: 0, max: 4, color: '#e8eaf6' },
+    { name: 'Theta', min: 4, max: 8, color: '#e3f2fd' },
+    { name: 'Alpha', min: 8, max: 13, color: '#e8f5e9' },
+    { name: 'Beta', min: 13, max: 30, color: '#fff8e1' },
+    { name: 'Gamma', min: 30, max: Infinity, color: '#fce4ec' }
+];
+
+// Upper limit on segments once repeats and blocks are expanded
+const MAX_SEGMENTS = 10000;
+// Most times a group or block can repeat
+const MAX_REPEAT_COUNT = 10000;
+
+// localStorage key for the user's saved presets
+const PRESET_STORAGE_KEY = 'binauralBeatPresets';
+
+// Identifies an exported session file, and the schema version this page writes
+const SESSION_FILE_FORMAT = 'binaural-beat-session';
+const SESSION_FILE_VERSION = 3;
+
+// URL hash key holding a shared session
+const SHARE_HASH_KEY = 'session';
+
+// Starter presets, always listed ahead of the user's own
+const BUILT_IN_PRESETS = [
+    {
+        id: 'builtin-sleep',
+        name: 'Deep sleep',
+        session: {
+            instructions: '10hz to 6hz 15 min exp, 6hz to 3hz 30 min exp, 3hz to 1.5hz 45 min, 1.5hz 6 hr',
+            baseTone: 200,
+            mode: 'binaural',
+            pulseShape: 'square',
+            waveform: 'warm-pad',
+            transition: 'continuous',
+            noiseType: 'brown',
+            noiseLevel: 30,
+            trackLevel: 50,
+            trackDuck: 0
+        }
+    },
+    {
+        id: 'builtin-focus',
+        name: 'Focus',
+        session: {
+            instructions: '12hz to 15hz 5 min, 15hz to 18hz 10 min sigmoid, 18hz 40 min, 18hz to 14hz 5 min',
+            baseTone: 300,
+            mode: 'binaural',
+            pulseShape: 'square',
+            waveform: 'sine',
+            transition: 'continuous',
+            noiseType: 'pink',
+            noiseLevel: 20,
+            trackLevel: 50,
+            trackDuck: 0
+        }
+    },
+    {
+        id: 'builtin-meditation',
+        name: 'Meditation',
+        session: {
+            instructions: '10hz to 7hz 10 min sigmoid, (7hz to 5hz 10 min, 5hz 10 min, 5hz to 7hz 5 min) x2, 7hz to 10hz 5 min',
+            baseTone: 432,
+            mode: 'binaural',
+            pulseShape: 'square',
+            waveform: 'triangle',
+            transition: 'continuous',
+            noiseType: 'none',
+            noiseLevel: 30,
+            trackLevel: 50,
+            trackDuck: 0
+        }
+    },
+    {
+        id: 'builtin-power-nap',
+        name: 'Power nap',
+        session: {
+            instructions: '12hz to 6hz 5 min exp, 6hz to 4hz 5 min, 4hz 10 min, 4hz to 12hz 5 min ease-in-out',
+            baseTone: 250,
+            mode: 'binaural',
+            pulseShape: 'square',
+            waveform: 'sine',
+            transition: 'continuous',
+            noiseType: 'pink',
+            noiseLevel: 25,
+            trackLevel: 50,
+            trackDuck: 0
+        }
+    }
+];
+
+// Ways one segment can lead into the next:
+// continuous - the same oscillators play on and glide to the next segment's frequencies, with no change in level
+//   (segments whose layers don't match crossfade instead)
+// crossfade - the next segment fades in as the previous one fades out
+// gap - the previous segment fades out, then the next fades in after a short pause
+const TRANSITION_STYLES = ['continuous', 'crossfade', 'gap'];
+
 // Crossfade constants
 const CROSSFADE_DURATION = 1; // Crossfade duration in seconds
 const FADE_OVERLAP = 2; // Small delay between fade start times (seconds)
-let isInCrossfade = false;
-let pendingSegmentChange = false;
+// How long continuous transitions take to glide from one segment's frequencies to the next's (seconds)
+const TRANSITION_GLIDE_DURATION = 1;
+// Points per second of automation curve for fades
+const FADE_CURVE_POINTS_PER_SECOND = 200;
+// Curves finish this far short of their end time, so automation scheduled at that time never overlaps them (seconds)
+const CURVE_END_MARGIN = 1e-6;
+
+// How far ahead of the audio clock segment changes are scheduled (seconds)
+const SCHEDULE_AHEAD_SECONDS = 30;
+// Points per second of automation curve for curved transitions, and the most in one curve
+const CURVE_POINTS_PER_SECOND = 10;
+const MAX_CURVE_POINTS = 16384;
+// Fade at the very start and end of playback (seconds)
+const PLAYBACK_FADE_DURATION = 0.1;
+
+// Export renderer: points per wavetable cycle, frames between updates of the frequencies and fades,
+// seconds of audio between progress reports, and the beats' level in the mix
+const WAVETABLE_SIZE = 4096;
+const RENDER_BLOCK_FRAMES = 64;
+const RENDER_PROGRESS_SECONDS = 10;
+const EXPORT_MASTER_GAIN = 0.2;
+// Export sample rates offered, and bit depths: bytes per sample and WAV format tag (1 = integer PCM, 3 = IEEE float)
+const EXPORT_SAMPLE_RATES = [44100, 48000, 96000];
+const EXPORT_BIT_DEPTHS = {
+    '16': { bytesPerSample: 2, formatTag: 1 },
+    '24': { bytesPerSample: 3, formatTag: 1 },
+    '32f': { bytesPerSample: 4, formatTag: 3 }
+};
+// File types an export can be saved as
+const EXPORT_FILE_TYPES = {
+    wav: { description: 'WAV audio', mimeType: 'audio/wav', extension: '.wav' },
+    w64: { description: 'Wave64 audio', mimeType: 'audio/x-w64', extension: '.w64' },
+    mp3: { description: 'MP3 audio', mimeType: 'audio/mpeg', extension: '.mp3' },
+    opus: { description: 'Ogg Opus audio', mimeType: 'audio/ogg', extension: '.opus' }
+};
+// Bitrates offered for compressed exports (kbps)
+const EXPORT_BITRATES = [128, 192, 256, 320];
+// MP3 encoder (lamejs 1.2.1, in vendor/), loaded the first time an MP3 is exported, and the seconds of audio
+// it encodes between breaks that let the page update
+const LAME_SCRIPT_URL = 'vendor/lamejs/lame.min.js';
+const MP3_ENCODE_SLICE_SECONDS = 5;
+// Opus: its sample rate, frame length (microseconds), pre-skip used if the encoder doesn't report one,
+// and how many packets go in each Ogg page
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_FRAME_DURATION = 20000;
+const OPUS_DEFAULT_PRE_SKIP = 312;
+const OGG_PACKETS_PER_PAGE = 50;
+// Opus encoder worker (libopus from opus-recorder 8.0.5, in vendor/) used when the browser has no Opus
+// encoder of its own, and its pre-skip: libopus's delay plus 24 samples from the resampler the worker runs
+// even at 48 kHz. The worker's own headers claim 3840, which would cut the start of the audio
+const OPUS_WORKER_URL = 'vendor/opus-recorder/encoderWorker.min.js';
+const LIBOPUS_PRE_SKIP = OPUS_DEFAULT_PRE_SKIP + 24;
+// Wave64 chunk IDs: GUIDs whose first four bytes spell the matching RIFF chunk ID
+const WAVE64_GUID_TAIL = [0xF3, 0xAC, 0xD3, 0x11, 0x8C, 0xD1, 0x00, 0xC0, 0x4F, 0x8E, 0xDB, 0x8A];
+const WAVE64_GUIDS = {
+    riff: [0x72, 0x69, 0x66, 0x66, 0x2E, 0x91, 0xCF, 0x11, 0xA5, 0xD6, 0x28, 0xDB, 0x04, 0xC1, 0x00, 0x00],
+    wave: [0x77, 0x61, 0x76, 0x65, ...WAVE64_GUID_TAIL],
+    fmt: [0x66, 0x6D, 0x74, 0x20, ...WAVE64_GUID_TAIL],
+    fact: [0x66, 0x61, 0x63, 0x74, ...WAVE64_GUID_TAIL],
+    data: [0x64, 0x61, 0x74, 0x61, ...WAVE64_GUID_TAIL]
+};
+// Seed of the 16-bit dither, fixed so the same render always encodes to the same bytes
+const DITHER_SEED = 0x2545F491;
+// Seed of the exported background noise, fixed so the same session always renders the same samples
+const EXPORT_NOISE_SEED = 0x6D2B79F5;
+
+// Fade used when seeking swaps oscillators, long enough to avoid a click (seconds)
+const SEEK_FADE_DURATION = 0.05;
+// How far the arrow keys and headset seek buttons move the playhead (milliseconds)
+const SEEK_STEP = 10 * 1000;
+// "Previous" within this long of a segment's start goes to the segment before it (milliseconds)
+const PREVIOUS_SEGMENT_GRACE = 3 * 1000;
 
 // DOM elements
 const playButton = document.getElementById('play');
 const restartButton = document.getElementById('restart');
+const previousSegmentButton = document.getElementById('previous-segment');
+const nextSegmentButton = document.getElementById('next-segment');
 const downloadButton = document.getElementById('download');
 const instructionsTextarea = document.getElementById('instructions');
 const baseToneInput = document.getElementById('baseTone');
+const modeSelect = document.getElementById('mode');
+const pulseShapeSelect = document.getElementById('pulseShape');
+const waveformSelect = document.getElementById('waveform');
+const transitionSelect = document.getElementById('transition');
+const noiseTypeSelect = document.getElementById('noiseType');
+const noiseLevelInput = document.getElementById('noiseLevel');
+const trackDropZone = document.getElementById('track-drop-zone');
+const trackFileInput = document.getElementById('trackFile');
+const trackStatusDisplay = document.getElementById('track-status');
+const trackRemoveButton = document.getElementById('track-remove');
+const trackLevelInput = document.getElementById('trackLevel');
+const trackDuckInput = document.getElementById('trackDuck');
 const currentBeatDisplay = document.getElementById('current-beat');
 const currentFrequencyDisplay = document.getElementById('current-frequency');
 const timeRemainingDisplay = document.getElementById('time-remaining');
 const progressBar = document.getElementById('progress');
+const progressContainer = document.getElementById('progress-container');
+const progressTooltip = document.getElementById('progress-tooltip');
 const downloadStatusDisplay = document.getElementById('download-status');
+const exportDialog = document.getElementById('export-dialog');
+const exportSampleRateSelect = document.getElementById('exportSampleRate');
+const exportBitDepthSelect = document.getElementById('exportBitDepth');
+const exportLargeFileSelect = document.getElementById('exportLargeFile');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportBitrateSelect = document.getElementById('exportBitrate');
+const exportEstimateDisplay = document.getElementById('export-estimate');
+const exportConfirmButton = document.getElementById('export-confirm');
+const instructionsHighlights = document.getElementById('instructions-highlights');
+const instructionErrorsList = document.getElementById('instruction-errors');
+const presetList = document.getElementById('preset-list');
+const savePresetButton = document.getElementById('save-preset');
+const sessionNameInput = document.getElementById('sessionName');
+const sessionAuthorInput = document.getElementById('sessionAuthor');
+const sessionNotesInput = document.getElementById('sessionNotes');
+const exportSessionButton = document.getElementById('export-session');
+const importSessionButton = document.getElementById('import-session');
+const sessionFileInput = document.getElementById('sessionFile');
+const copyShareLinkButton = document.getElementById('copy-share-link');
+const timelineCanvas = document.getElementById('timeline');
+const analyserView = document.getElementById('analyser-view');
+const spectrumCanvas = document.getElementById('spectrum');
+const scopeCanvas = document.getElementById('scope');
+const analyserReadout = document.getElementById('analyser-readout');
+const timelinePlayhead = document.getElementById('timeline-playhead');
+
+// Unresolved parse errors for the current instructions
+let instructionErrors = [];
+// Segments parsed from the instructions as they are now, which may differ from the session playing
+let editorSegments = [];
 
 // Add media session handling for mobile headset controls
 function setupMediaSession() {
     if ('mediaSession' in navigator) {
-        navigator.mediaSession.metadata = new MediaMetadata({
-            title: 'Binaural Beats Session',
-            artist: 'Binaural Beats Generator',
-            album: 'Custom Binaural Beats',
-        });
+        updateMediaMetadata();
 
         navigator.mediaSession.setActionHandler('play', () => {
             // Only respond if we're not typing in the textarea
@@ -66,6 +350,57 @@ function setupMediaSession() {
                 stopPlaying();
             }
         });
+        
+        // Browsers throw for actions they don't support, so register the rest one at a time
+        const optionalHandlers = {
+            nexttrack: () => skipToNextSegment(),
+            previoustrack: () => skipToPreviousSegment(),
+            seekto: (details) => seekTo(details.seekTime * 1000),
+            seekforward: (details) => seekTo(elapsedTime + (details.seekOffset ? details.seekOffset * 1000 : SEEK_STEP)),
+            seekbackward: (details) => seekTo(elapsedTime - (details.seekOffset ? details.seekOffset * 1000 : SEEK_STEP))
+        };
+        for (const [action, handler] of Object.entries(optionalHandlers)) {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (e) {
+                console.log(`Media session action "${action}" is not supported`);
+            }
+        }
+    }
+}
+
+// Show the current segment on the lock screen and headset, e.g. "Segment 3/7 — 7 Hz → 4 Hz"
+function updateMediaMetadata() {
+    if (!('mediaSession' in navigator)) return;
+    
+    const segment = (isPlaying || isPaused) ? segments[currentSegmentIndex] : null;
+    const beatLabel = segment && (segment.type === 'transition'
+        ? `${segment.startFreq} Hz \u2192 ${segment.endFreq} Hz`
+        : `${segment.startFreq} Hz`);
+    
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: segment ? `Segment ${currentSegmentIndex + 1}/${segments.length} \u2014 ${beatLabel}` : 'Binaural Beats Session',
+        artist: 'Binaural Beats Generator',
+        album: sessionNameInput.value.trim() || 'Custom Binaural Beats',
+    });
+}
+
+// Tell the media session how long the session is and where playback is
+function updateMediaPositionState() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    
+    try {
+        if (isPlaying || isPaused) {
+            navigator.mediaSession.setPositionState({
+                duration: totalDuration / 1000,
+                playbackRate: 1,
+                position: Math.min(elapsedTime, totalDuration) / 1000
+            });
+        } else {
+            navigator.mediaSession.setPositionState();
+        }
+    } catch (e) {
+        console.log('Error updating media position:', e);
     }
 }
 
@@ -79,27 +414,55 @@ function initAudio() {
         gainNode.gain.value = 0.2; // Set volume to 20%
         gainNode.connect(audioContext.destination);
         
+        // Background noise gets its own level, alongside the beats rather than under their volume
+        noiseGainNode = audioContext.createGain();
+        noiseGainNode.gain.value = getNoiseGain();
+        noiseGainNode.connect(audioContext.destination);
+        
+        // The background track has a level of its own too
+        trackGainNode = audioContext.createGain();
+        trackGainNode.gain.value = getTrackGain();
+        trackGainNode.connect(audioContext.destination);
+        
+        // While the beats sound, their fade envelopes (summed and held to 0-1 by the shaper) pull the track
+        // down by the duck amount, so it dips under them and comes back up in gaps and after the end
+        trackDuckNode = audioContext.createGain();
+        trackDuckNode.gain.value = 1;
+        trackDuckNode.connect(trackGainNode);
+        beatEnvelopeInput = audioContext.createWaveShaper();
+        beatEnvelopeInput.curve = Float32Array.from([0, 0, 1]);
+        trackDuckAmountNode = audioContext.createGain();
+        trackDuckAmountNode.gain.value = -getTrackDuck();
+        beatEnvelopeInput.connect(trackDuckAmountNode);
+        trackDuckAmountNode.connect(trackDuckNode.gain);
+        
+        // Tap the beats for the signal analyser, one analyser per ear
+        const analyserSplitter = audioContext.createChannelSplitter(2);
+        gainNode.connect(analyserSplitter);
+        analyserLeft = audioContext.createAnalyser();
+        analyserRight = audioContext.createAnalyser();
+        for (const [analyser, channel] of [[analyserLeft, 0], [analyserRight, 1]]) {
+            analyser.fftSize = ANALYSER_FFT_SIZE;
+            analyser.smoothingTimeConstant = 0.5;
+            analyserSplitter.connect(analyser, channel);
+        }
+        
         // Setup media session for headset controls
         setupMediaSession();
     }
 }
 
-// Create an oscillator pair (left + right) with individual gain nodes for crossfading
-function createOscillatorPair(context) {
+// Create the oscillators for a segment, behind a left/right pair of gain nodes used for crossfading
+// Every layer of the segment gets its own oscillators, mixed at its relative level
+function createOscillatorPair(context, segment) {
     // Use provided context or default to audioContext
     const ctx = context || audioContext;
     
-    const leftOsc = ctx.createOscillator();
-    const rightOsc = ctx.createOscillator();
-    
     const leftGain = ctx.createGain();
     const rightGain = ctx.createGain();
     
     const merger = ctx.createChannelMerger(2);
     
-    leftOsc.connect(leftGain);
-    rightOsc.connect(rightGain);
-    
     leftGain.connect(merger, 0, 0);
     rightGain.connect(merger, 0, 1);
     
@@ -109,611 +472,4322 @@ function createOscillatorPair(context) {
         merger.connect(gainNode);
     }
     
-    leftOsc.type = 'sine';
-    rightOsc.type = 'sine';
-    
     // Pre-initialize gain to zero to prevent pops on start
     leftGain.gain.value = 0;
     rightGain.gain.value = 0;
     
+    // Scale the layers down if their levels add up to more than full volume
+    const layers = segment ? getSegmentLayers(segment) : [{ mode: 'binaural', waveform: 'sine', level: 1 }];
+    const totalLevel = layers.reduce((total, layer) => total + layer.level, 0);
+    const levelScale = 1 / Math.max(1, totalLevel);
+    
+    const oscLayers = layers.map(layer => createLayerOscillators(ctx, layer, layer.level * levelScale, leftGain, rightGain));
+    
     return {
-        left: leftOsc,
-        right: rightOsc,
+        layers: oscLayers,
         leftGain: leftGain,
         rightGain: rightGain,
         merger: merger,
+        sources: oscLayers.flatMap(oscLayer => oscLayer.sources),
+        nodes: oscLayers.flatMap(oscLayer => oscLayer.nodes).concat([leftGain, rightGain, merger]),
         started: false
     };
 }
 
-// Parse instructions from text input
-function parseInstructions(text) {
-    const segments = [];
-    const parts = text.split(',').map(part => part.trim());
+// Create the oscillators for one layer, feeding the segment's left and right gain nodes
+// Binaural layers play the carrier detuned down in the left ear and up in the right; monaural layers
+// play both detuned tones mixed into both ears; isochronic layers play one carrier in both ears,
+// amplitude-pulsed at the beat frequency by a pulse oscillator
+function createLayerOscillators(ctx, layer, level, leftGain, rightGain) {
+    const mode = layer.mode;
+    const layerGain = ctx.createGain();
+    layerGain.gain.value = level;
     
-    for (const part of parts) {
-        if (!part) continue;
+    if (mode === 'isochronic') {
+        const carrierOsc = ctx.createOscillator();
+        const pulseOsc = ctx.createOscillator();
         
-        // Match patterns like "7 to 4hz 1 hr" or "4 hz 30min"
-        const stableMatch = part.match(/^(\d+(?:\.\d+)?)\s*hz\s*(\d+(?:\.\d+)?)\s*(hr|min)$/i);
-        const transitionMatch = part.match(/^(\d+(?:\.\d+)?)\s*(?:hz)?\s*to\s*(\d+(?:\.\d+)?)\s*hz\s*(\d+(?:\.\d+)?)\s*(hr|min)$/i);
+        // The pulse (-1 to 1) is scaled and offset so the carrier's gain swings between 0 and 1
+        const pulseGain = ctx.createGain();
+        const pulseDepth = ctx.createGain();
+        pulseGain.gain.value = 0.5;
+        pulseDepth.gain.value = 0.5;
         
-        if (stableMatch) {
-            // Stable frequency
-            const frequency = parseFloat(stableMatch[1]);
-            const duration = parseFloat(stableMatch[2]);
-            const unit = stableMatch[3].toLowerCase();
-            
-            // Convert duration to milliseconds
-            const durationMs = unit === 'hr' ? duration * 60 * 60 * 1000 : duration * 60 * 1000;
-            
-            segments.push({
-                type: 'stable',
-                startFreq: frequency,
-                endFreq: frequency,
-                duration: durationMs
-            });
-        } else if (transitionMatch) {
-            // Transition frequency
-            const startFreq = parseFloat(transitionMatch[1]);
-            const endFreq = parseFloat(transitionMatch[2]);
-            const duration = parseFloat(transitionMatch[3]);
-            const unit = transitionMatch[4].toLowerCase();
-            
-            // Convert duration to milliseconds
-            const durationMs = unit === 'hr' ? duration * 60 * 60 * 1000 : duration * 60 * 1000;
-            
-            segments.push({
-                type: 'transition',
-                startFreq: startFreq,
-                endFreq: endFreq,
-                duration: durationMs
-            });
-        }
+        setCarrierWaveform(ctx, carrierOsc, layer.waveform);
+        setPulseShape(ctx, pulseOsc, layer.pulseShape);
+        
+        pulseOsc.connect(pulseDepth);
+        pulseDepth.connect(pulseGain.gain);
+        carrierOsc.connect(pulseGain);
+        pulseGain.connect(layerGain);
+        layerGain.connect(leftGain);
+        layerGain.connect(rightGain);
+        
+        return {
+            mode: mode,
+            carrier: carrierOsc,
+            pulse: pulseOsc,
+            sources: [carrierOsc, pulseOsc],
+            nodes: [carrierOsc, pulseOsc, pulseDepth, pulseGain, layerGain]
+        };
     }
     
-    return segments;
-}
-
-// Calculate total duration from segments
-function calculateTotalDuration(segments) {
-    return segments.reduce((total, segment) => total + segment.duration, 0);
-}
-
-// Format time as HH:MM:SS
-function formatTime(milliseconds) {
-    const totalSeconds = Math.floor(milliseconds / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    
-    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-}
-
-// Update the frequencies for a specific oscillator pair
-function updateOscillatorFrequencies(oscPair, binauralFreq, baseTone, ctx, time) {
-    if (!oscPair) return;
-    
-    const halfBeatFreq = binauralFreq / 2;
-    const leftFreq = baseTone - halfBeatFreq;
-    const rightFreq = baseTone + halfBeatFreq;
-    
-    // Set frequencies for binaural beat
-    const currentTime = time || (ctx ? ctx.currentTime : audioContext.currentTime);
+    const leftOsc = ctx.createOscillator();
+    const rightOsc = ctx.createOscillator();
+    const nodes = [leftOsc, rightOsc, layerGain];
     
-    if (oscPair.left && oscPair.right) {
-        oscPair.left.frequency.setValueAtTime(leftFreq, currentTime);
-        oscPair.right.frequency.setValueAtTime(rightFreq, currentTime);
+    if (mode === 'monaural') {
+        // Both tones go to both ears, at half level each so the sum peaks where a single tone would
+        layerGain.gain.value = level / 2;
+        
+        leftOsc.connect(layerGain);
+        rightOsc.connect(layerGain);
+        layerGain.connect(leftGain);
+        layerGain.connect(rightGain);
+    } else {
+        // Binaural needs the tones kept apart, so each side gets its own level gain
+        const rightLayerGain = ctx.createGain();
+        rightLayerGain.gain.value = level;
+        nodes.push(rightLayerGain);
+        
+        leftOsc.connect(layerGain);
+        rightOsc.connect(rightLayerGain);
+        layerGain.connect(leftGain);
+        rightLayerGain.connect(rightGain);
     }
     
-    return { leftFreq, rightFreq };
+    setCarrierWaveform(ctx, leftOsc, layer.waveform);
+    setCarrierWaveform(ctx, rightOsc, layer.waveform);
+    
+    return {
+        mode: mode,
+        left: leftOsc,
+        right: rightOsc,
+        sources: [leftOsc, rightOsc],
+        nodes: nodes
+    };
 }
 
-// Perform a crossfade between the active and next oscillator pairs
-function performCrossfade(nextSegmentIndex) {
-    if (isInCrossfade) return;
-    isInCrossfade = true;
+// Give a carrier oscillator one of the WAVEFORMS timbres
+function setCarrierWaveform(ctx, osc, waveform) {
+    const definition = WAVEFORMS[waveform] || WAVEFORMS.sine;
     
-    // Get the next segment
-    const nextSegment = segments[nextSegmentIndex];
-    if (!nextSegment) {
-        isInCrossfade = false;
+    if (typeof definition === 'string') {
+        osc.type = definition;
         return;
     }
     
-    // Create new oscillator pair for next segment
-    nextOscillators = createOscillatorPair();
-    
-    // Calculate starting frequency for next segment
-    const baseTone = parseFloat(baseToneInput.value) || 432;
-    const binauralFreq = nextSegment.startFreq;
-    
-    // Set initial frequencies for next oscillators
-    updateOscillatorFrequencies(nextOscillators, binauralFreq, baseTone);
-    
-    // Current time for scheduling
-    const currentTime = audioContext.currentTime;
+    const real = new Float32Array(definition.length + 1);
+    const imag = new Float32Array(definition.length + 1);
+    definition.forEach((amplitude, i) => {
+        imag[i + 1] = amplitude;
+    });
     
-    // Start the next oscillators with gain at 0 (already set in createOscillatorPair)
-    nextOscillators.left.start(currentTime);
-    nextOscillators.right.start(currentTime);
-    nextOscillators.started = true;
+    osc.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+}
+
+// Give an isochronic pulse oscillator its shape
+function setPulseShape(ctx, pulseOsc, shape) {
+    if (shape === 'sine') {
+        pulseOsc.type = 'sine';
+        return;
+    }
     
-    // Define timing for crossfade
-    const fadeOutStartTime = currentTime;
-    const fadeInStartTime = currentTime + FADE_OVERLAP; // Slightly delay fade-in to prevent volume dip
-    const fadeOutEndTime = fadeOutStartTime + CROSSFADE_DURATION;
-    const fadeInEndTime = fadeInStartTime + CROSSFADE_DURATION;
+    const harmonics = getPulseHarmonics(shape);
+    const real = new Float32Array(harmonics.length + 1);
+    const imag = new Float32Array(harmonics.length + 1);
+    harmonics.forEach((amplitude, i) => {
+        imag[i + 1] = amplitude;
+    });
     
-    // Smooth fade-in for new oscillators (using exponential for smoother audio transition)
-    // Set very small value first (can't go to 0 with exponentialRampToValueAtTime)
-    nextOscillators.leftGain.gain.setValueAtTime(0.001, fadeInStartTime);
-    nextOscillators.rightGain.gain.setValueAtTime(0.001, fadeInStartTime);
-    nextOscillators.leftGain.gain.exponentialRampToValueAtTime(1, fadeInEndTime);
-    nextOscillators.rightGain.gain.exponentialRampToValueAtTime(1, fadeInEndTime);
+    pulseOsc.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+}
+
+// Harmonic amplitudes (fundamental first) of an isochronic pulse shape
+// Square and ramp are built from a few harmonics so their edges are soft rather than clicking
+function getPulseHarmonics(shape) {
+    if (shape === 'sine') return [1];
     
-    // Smooth fade-out for active oscillators if they exist
-    if (activeOscillators && activeOscillators.started) {
-        activeOscillators.leftGain.gain.setValueAtTime(1, fadeOutStartTime);
-        activeOscillators.rightGain.gain.setValueAtTime(1, fadeOutStartTime);
-        activeOscillators.leftGain.gain.exponentialRampToValueAtTime(0.001, fadeOutEndTime);
-        activeOscillators.rightGain.gain.exponentialRampToValueAtTime(0.001, fadeOutEndTime);
+    const harmonics = [];
+    for (let n = 1; n <= PULSE_HARMONICS; n++) {
+        // Lanczos sigma factor rounds the edges off and removes the Gibbs overshoot
+        const x = Math.PI * n / (PULSE_HARMONICS + 1);
+        const sigma = Math.sin(x) / x;
         
-        // Schedule disconnection and stopping after fade completes
-        setTimeout(() => {
-            try {
-                // Set gain to zero immediately before stopping to prevent clicks
-                activeOscillators.leftGain.gain.setValueAtTime(0, audioContext.currentTime);
-                activeOscillators.rightGain.gain.setValueAtTime(0, audioContext.currentTime);
-                
-                // Stop oscillators
-                activeOscillators.left.stop(audioContext.currentTime + 0.01);
-                activeOscillators.right.stop(audioContext.currentTime + 0.01);
-                
-                // Clean up connections to prevent memory leaks
-                activeOscillators.left.disconnect();
-                activeOscillators.right.disconnect();
-                activeOscillators.leftGain.disconnect();
-                activeOscillators.rightGain.disconnect();
-                activeOscillators.merger.disconnect();
-            } catch (e) {
-                console.log('Error stopping old oscillators:', e);
-            }
-        }, CROSSFADE_DURATION * 1000 + 10); // Add a tiny buffer
+        if (shape === 'ramp') {
+            // Sawtooth falling from full to silent after each pulse
+            harmonics.push(sigma / n);
+        } else if (n % 2 === 1) {
+            // Square wave (odd harmonics only)
+            harmonics.push(sigma / n);
+        } else {
+            harmonics.push(0);
+        }
     }
+    return harmonics;
+}
+
+// Harmonic amplitudes (fundamental first) of a carrier timbre, including the built-in oscillator types
+function getWaveformHarmonics(waveform) {
+    const definition = WAVEFORMS[waveform] || WAVEFORMS.sine;
     
-    // Schedule cleanup after fade completes
-    setTimeout(() => {
-        // Set next oscillators as active
-        activeOscillators = nextOscillators;
-        nextOscillators = null;
-        
-        // Set the new segment index and update UI
-        currentSegmentIndex = nextSegmentIndex;
-        updateCurrentSegmentDisplay();
-        
-        isInCrossfade = false;
-        
-        // If there was a pending segment change during crossfade, process it now
-        if (pendingSegmentChange) {
-            pendingSegmentChange = false;
-            const newSegmentIndex = findCurrentSegment(elapsedTime);
-            if (newSegmentIndex !== currentSegmentIndex && newSegmentIndex < segments.length) {
-                performCrossfade(newSegmentIndex);
-            }
+    if (definition === 'triangle') {
+        // Odd harmonics falling off with the square of their number, alternating in sign
+        const harmonics = [];
+        for (let n = 1; n <= TRIANGLE_HARMONICS; n++) {
+            harmonics.push(n % 2 === 1 ? (n % 4 === 1 ? 1 : -1) / (n * n) : 0);
         }
-    }, (CROSSFADE_DURATION + FADE_OVERLAP) * 1000 + 50); // Wait until both fades complete
+        return harmonics;
+    }
+    if (typeof definition === 'string') return [1];
+    return definition;
 }
 
-// Start playing binaural beats
-function startPlaying() {
-    initAudio();
-    
-    // Parse instructions
-    segments = parseInstructions(instructionsTextarea.value);
+// Start every oscillator in a pair
+function startOscillatorPair(oscPair, time) {
+    oscPair.sources.forEach(source => source.start(time));
+    oscPair.started = true;
+}
+
+// Stop every oscillator in a pair
+function stopOscillatorPair(oscPair, time) {
+    oscPair.sources.forEach(source => source.stop(time));
+}
+
+// Disconnect every node in a pair so it can be garbage collected
+function disconnectOscillatorPair(oscPair) {
+    oscPair.nodes.forEach(node => node.disconnect());
+}
+
+// Duration units accepted in instructions, in milliseconds
+const DURATION_UNITS = {
+    h: 60 * 60 * 1000,
+    hr: 60 * 60 * 1000,
+    hrs: 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    hours: 60 * 60 * 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    mins: 60 * 1000,
+    minute: 60 * 1000,
+    minutes: 60 * 1000,
+    s: 1000,
+    sec: 1000,
+    secs: 1000,
+    second: 1000,
+    seconds: 1000
+};
+
+// Transition curve keywords accepted after the duration, mapped to their canonical name
+const CURVE_ALIASES = {
+    'linear': 'linear',
+    'lin': 'linear',
+    'exp': 'exp',
+    'exponential': 'exp',
+    'log': 'log',
+    'logarithmic': 'log',
+    'sigmoid': 'sigmoid',
+    'ease-in-out': 'ease-in-out'
+};
+
+// Entrainment mode keywords accepted after the duration, mapped to their canonical name
+const MODE_ALIASES = {
+    'binaural': 'binaural',
+    'isochronic': 'isochronic',
+    'iso': 'isochronic',
+    'monaural': 'monaural',
+    'mono': 'monaural'
+};
+
+// Carrier waveform keywords accepted after the duration, mapped to their WAVEFORMS name
+const WAVEFORM_ALIASES = {
+    'sine': 'sine',
+    'triangle': 'triangle',
+    'soft-square': 'soft-square',
+    'warm-pad': 'warm-pad',
+    'pad': 'warm-pad',
+    'organ': 'organ'
+};
+
+// Whether a word is one of the keywords allowed after the duration
+function isKeyword(word) {
+    return Boolean(CURVE_ALIASES[word] || MODE_ALIASES[word] || WAVEFORM_ALIASES[word]);
+}
+
+// Scan a duration like "1 hr", "90 sec", "1h30m" or "1 hour 15 minutes"
+// Returns { milliseconds } on success, or { error } with a range relative to the text
+function scanDuration(text) {
+    const durationPattern = /(\d+(?:\.\d+)?)\s*([a-z]*)\s*/giy;
+    let totalMs = 0;
+    let position = 0;
+    let match;
     
-    if (segments.length === 0) {
-        alert('Please enter valid instructions.');
-        return;
+    while (position < text.length && (match = durationPattern.exec(text)) !== null) {
+        position = durationPattern.lastIndex;
+        const unit = match[2].toLowerCase();
+        const unitStart = match.index + match[0].indexOf(match[2], match[1].length);
+        
+        if (!unit) {
+            return {
+                error: {
+                    start: match.index,
+                    end: match.index + match[1].length,
+                    reason: `Missing unit after "${match[1]}"`,
+                    suggestion: `${match[1]} min`
+                }
+            };
+        }
+        
+        const unitMs = DURATION_UNITS[unit];
+        if (unitMs === undefined) {
+            const closestUnit = findClosestWord(unit, Object.keys(DURATION_UNITS));
+            return {
+                error: {
+                    start: unitStart,
+                    end: unitStart + match[2].length,
+                    reason: `Unknown duration unit "${match[2]}"`,
+                    suggestion: closestUnit
+                }
+            };
+        }
+        
+        totalMs += parseFloat(match[1]) * unitMs;
     }
     
-    // Calculate total duration
-    totalDuration = calculateTotalDuration(segments);
-    
-    // Create first oscillator pair
-    activeOscillators = createOscillatorPair();
-    
-    // Start first segment
-    currentSegmentIndex = 0;
-    lastFrequencyChange = 0;
-    elapsedTime = 0;
-    isPaused = false;
-    
-    // Set initial frequencies
-    const baseTone = parseFloat(baseToneInput.value) || 432;
-    const segment = segments[currentSegmentIndex];
-    const { leftFreq, rightFreq } = updateOscillatorFrequencies(activeOscillators, segment.startFreq, baseTone);
-    
-    // Update frequency displays
-    currentBinauralFrequency = segment.startFreq;
-    currentFrequencyDisplay.textContent = `Current Binaural Beat: ${segment.startFreq.toFixed(1)} Hz`;
-    
-    // Set current beat display
-    updateCurrentSegmentDisplay();
-    
-    // Start oscillators with smooth ramp-up to prevent clicks
-    const currentTime = audioContext.currentTime;
-    activeOscillators.left.start(currentTime);
-    activeOscillators.right.start(currentTime);
-    activeOscillators.started = true;
-    
-    // Start with zero volume and ramp up to prevent clicks
-    activeOscillators.leftGain.gain.setValueAtTime(0.001, currentTime);
-    activeOscillators.rightGain.gain.setValueAtTime(0.001, currentTime);
-    activeOscillators.leftGain.gain.exponentialRampToValueAtTime(1, currentTime + 0.1);
-    activeOscillators.rightGain.gain.exponentialRampToValueAtTime(1, currentTime + 0.1);
-    
-    // Set start time
-    startTime = audioContext.currentTime;
-    
-    // Update UI
-    playButton.textContent = 'Pause';
-    isPlaying = true;
-    
-    // Start update interval
-    if (updateInterval) clearInterval(updateInterval);
-    updateInterval = setInterval(updateBeatProgress, 100);
+    // Something other than "<number> <unit>" was left over
+    if (position < text.length || position === 0) {
+        return {
+            error: {
+                start: position,
+                end: text.length,
+                reason: `Unexpected "${text.slice(position).trim()}" in duration`,
+                suggestion: null
+            }
+        };
+    }
     
-    // Update media session state
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.playbackState = 'playing';
+    if (totalMs <= 0) {
+        return {
+            error: {
+                start: 0,
+                end: text.trimEnd().length,
+                reason: 'Duration must be greater than zero',
+                suggestion: null
+            }
+        };
     }
+    
+    return { milliseconds: totalMs };
 }
 
-// Update the current segment display
-function updateCurrentSegmentDisplay() {
-    if (currentSegmentIndex >= segments.length) return;
-    
-    const segment = segments[currentSegmentIndex];
-    currentBeatDisplay.textContent = `Current: ${segment.startFreq}Hz ${segment.type === 'transition' ? 'to ' + segment.endFreq + 'Hz' : ''}`;
+// Parse a duration into milliseconds, or null if it isn't valid
+function parseDuration(text) {
+    const result = scanDuration(text.trim());
+    return result.error ? null : result.milliseconds;
 }
 
-// Calculate segment times
-function calculateSegmentTimes() {
-    let times = [];
-    let accumulatedTime = 0;
+// Suggest the candidate word closest to a misspelled one (or null if nothing is close)
+function findClosestWord(word, candidates) {
+    let closest = null;
+    let closestDistance = 3; // Only suggest words within two edits
     
-    for (let i = 0; i < segments.length; i++) {
-        accumulatedTime += segments[i].duration;
-        times.push(accumulatedTime);
+    for (const candidate of candidates) {
+        const distance = editDistance(word, candidate);
+        // Prefer the longer spelling on ties ("minuts" -> "minutes" rather than "mins")
+        if (distance < closestDistance || (distance === closestDistance && closest && candidate.length > closest.length)) {
+            closest = candidate;
+            closestDistance = distance;
+        }
     }
     
-    return times;
+    return closest;
 }
 
-// Find current segment based on elapsed time
-function findCurrentSegment(elapsedTime) {
-    let accumulatedTime = 0;
+// Levenshtein distance between two short strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
     
-    for (let i = 0; i < segments.length; i++) {
-        accumulatedTime += segments[i].duration;
-        if (elapsedTime < accumulatedTime) {
-            return i;
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
         }
+        previous = current;
     }
     
-    return segments.length - 1; // Return last segment if over time
+    return previous[b.length];
 }
 
-// Calculate time within current segment
-function getTimeInSegment(segmentIndex, elapsedTime) {
-    let segmentStartTime = 0;
+// Split known keywords ("exp", "isochronic", "20%", ...) off the end of an instruction
+// Returns the remaining text and the keywords with their positions in the text
+function splitTrailingKeywords(text) {
+    const keywords = [];
+    let remaining = text;
+    let match;
     
-    for (let i = 0; i < segmentIndex; i++) {
-        segmentStartTime += segments[i].duration;
+    while ((match = remaining.match(/\s+([a-z][a-z-]*|\d+(?:\.\d+)?%)$/i)) !== null) {
+        const word = match[1].toLowerCase();
+        if (!isKeyword(word) && !word.endsWith('%')) break;
+        
+        keywords.unshift({ word: word, start: remaining.length - match[1].length, end: remaining.length });
+        remaining = remaining.slice(0, match.index);
     }
     
-    return elapsedTime - segmentStartTime;
+    return { text: remaining, keywords };
 }
 
-// Check if we need to transition to next segment
-function checkSegmentTransition() {
-    // Find which segment we should be in based on elapsed time
-    const targetSegmentIndex = findCurrentSegment(elapsedTime);
+// Parse the beat part of an instruction ("7hz 30 min" or "10hz to 7hz 1 hr")
+// Returns { segment } on success, or { error } with a range relative to the part
+function parseSegment(part) {
+    // Match patterns like "7 to 4hz 1 hr", "10 Hz to 7 Hz 1h30m" or "4 hz 90 sec"
+    const transitionMatch = part.match(/^(\d+(?:\.\d+)?)\s*(?:hz)?\s*to\s*(\d+(?:\.\d+)?)(?:\s*hz\s*|\s+)(\d.*)$/i);
+    const stableMatch = part.match(/^(\d+(?:\.\d+)?)\s*hz\s*(\d.*)$/i);
+    const match = transitionMatch || stableMatch;
     
-    // If we need to change segments and not already in a crossfade
-    if (targetSegmentIndex !== currentSegmentIndex && !isInCrossfade) {
-        performCrossfade(targetSegmentIndex);
-    } else if (isInCrossfade) {
-        // If already in a crossfade, mark that we have a pending change
-        pendingSegmentChange = true;
+    if (match) {
+        const durationText = match[match.length - 1];
+        const durationOffset = part.length - durationText.length;
+        const duration = scanDuration(durationText);
+        
+        if (duration.error) {
+            // "20 min expo" - the duration is fine but the word after it isn't a keyword
+            const wordMatch = part.match(/\s+([a-z][a-z-]*)$/i);
+            if (wordMatch && !parseSegment(part.slice(0, wordMatch.index)).error) {
+                return {
+                    error: {
+                        start: part.length - wordMatch[1].length,
+                        end: part.length,
+                        reason: `Unknown keyword "${wordMatch[1]}"`,
+                        suggestion: findClosestWord(wordMatch[1].toLowerCase(), Object.keys(CURVE_ALIASES).concat(Object.keys(MODE_ALIASES), Object.keys(WAVEFORM_ALIASES)))
+                    }
+                };
+            }
+            
+            duration.error.start += durationOffset;
+            duration.error.end += durationOffset;
+            return { error: duration.error };
+        }
+        
+        const startFreq = parseFloat(match[1]);
+        const endFreq = transitionMatch ? parseFloat(match[2]) : startFreq;
+        
+        return {
+            segment: {
+                type: transitionMatch ? 'transition' : 'stable',
+                startFreq: startFreq,
+                endFreq: endFreq,
+                duration: duration.milliseconds
+            }
+        };
     }
+    
+    return { error: diagnoseSegment(part) };
 }
 
-// Update current sound based on progress within segment
-function updateCurrentSegmentFrequency() {
-    if (currentSegmentIndex >= segments.length) return;
-    
-    const segment = segments[currentSegmentIndex];
-    const baseTone = parseFloat(baseToneInput.value) || 432;
-    
-    // Calculate time within the current segment
-    const timeInSegment = getTimeInSegment(currentSegmentIndex, elapsedTime);
-    const progress = timeInSegment / segment.duration;
-    
-    // Calculate current frequency based on progress
-    let currentFreq;
-    if (segment.type === 'stable') {
-        currentFreq = segment.startFreq;
-    } else {
-        // Linear interpolation between start and end frequencies
-        currentFreq = segment.startFreq + (segment.endFreq - segment.startFreq) * progress;
+// Scan a carrier like "300hz" or a glide like "300hz to 150hz"
+// Returns { startCarrier, endCarrier } on success, or { error } with a range relative to the text
+function scanCarrier(text) {
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(?:hz)?(?:\s*to\s*(\d+(?:\.\d+)?)\s*(?:hz)?)?$/i);
+    if (!match) {
+        return {
+            error: {
+                start: 0,
+                end: text.length,
+                reason: 'Expected a carrier like "200hz" or "300hz to 150hz"',
+                suggestion: null
+            }
+        };
     }
     
-    // Save current binaural frequency for display
-    currentBinauralFrequency = currentFreq;
+    const startCarrier = parseFloat(match[1]);
+    const endCarrier = match[2] !== undefined ? parseFloat(match[2]) : startCarrier;
     
-    // Update active oscillators
-    const { leftFreq, rightFreq } = updateOscillatorFrequencies(activeOscillators, currentFreq, baseTone);
+    for (const carrier of [startCarrier, endCarrier]) {
+        if (carrier < MIN_CARRIER || carrier > MAX_CARRIER) {
+            return {
+                error: {
+                    start: 0,
+                    end: text.length,
+                    reason: `Carrier must be between ${MIN_CARRIER} and ${MAX_CARRIER} Hz`,
+                    suggestion: null
+                }
+            };
+        }
+    }
+    
+    return { startCarrier, endCarrier };
+}
+
+// Parse one comma-separated instruction, given the settings in effect before it
+// Returns { segment, carrier } for a segment, { carrier } for a "carrier 200hz" setting, or { error }
+// The carrier set by "carrier 200hz" or "@ 300hz to 150hz" stays in effect for the following segments,
+// while keywords like "exp" or "isochronic" only apply to their own segment
+function parseInstruction(part, carrier, settings) {
+    // "carrier 200hz" changes the carrier for every segment after it
+    const carrierSetting = part.match(/^carrier\b\s*(.*)$/i);
+    if (carrierSetting) {
+        const specOffset = part.length - carrierSetting[1].length;
+        
+        if (!carrierSetting[1]) {
+            return {
+                error: {
+                    start: 0,
+                    end: part.length,
+                    reason: 'Missing carrier frequency',
+                    suggestion: `carrier ${carrier}hz`
+                }
+            };
+        }
+        
+        const spec = scanCarrier(carrierSetting[1]);
+        if (!spec.error && spec.startCarrier !== spec.endCarrier) {
+            spec.error = {
+                start: 0,
+                end: carrierSetting[1].length,
+                reason: 'To glide the carrier, add "@ 300hz to 150hz" to a segment',
+                suggestion: null
+            };
+        }
+        if (spec.error) {
+            spec.error.start += specOffset;
+            spec.error.end += specOffset;
+            return { error: spec.error };
+        }
+        
+        return { carrier: spec.startCarrier };
+    }
+    
+    // "4hz 20 min + 40hz @ 200hz 20%" stacks extra layers on the segment
+    const pieces = [];
+    const piecePattern = /[^+]*/g;
+    let pieceMatch;
+    while ((pieceMatch = piecePattern.exec(part)) !== null) {
+        const text = pieceMatch[0].trim();
+        const start = pieceMatch.index + (text ? pieceMatch[0].indexOf(text) : 0);
+        pieces.push({ text: text, start: start });
+        
+        if (piecePattern.lastIndex >= part.length) break;
+        piecePattern.lastIndex++; // Step over the "+"
+    }
+    
+    const segmentLayers = [];
+    for (let i = 0; i < pieces.length; i++) {
+        const piece = pieces[i];
+        
+        if (!piece.text) {
+            return {
+                error: {
+                    start: Math.max(0, piece.start - 1),
+                    end: Math.min(part.length, piece.start + 1),
+                    reason: 'Missing layer next to "+"',
+                    suggestion: null
+                }
+            };
+        }
+        
+        // Extra layers share the primary layer's duration and, unless they set their own, its carrier
+        const primary = segmentLayers[0];
+        const result = i === 0
+            ? parseLayer(piece.text, carrier, carrier, settings, true)
+            : parseLayer(piece.text, primary.startCarrier, primary.endCarrier, settings, false);
+        
+        if (result.error) {
+            result.error.start += piece.start;
+            result.error.end += piece.start;
+            return { error: result.error };
+        }
+        
+        segmentLayers.push(result.layer);
+    }
+    
+    const segment = segmentLayers[0];
+    if (segmentLayers.length > 1) {
+        segment.layers = segmentLayers.slice(1);
+    }
+    
+    return { segment, carrier: segment.endCarrier };
+}
+
+// Parse one layer of a segment: the beat, its keywords and an optional "@ carrier"
+// The primary layer includes the segment's duration ("7hz 10 min"); extra layers don't ("40hz")
+// Returns { layer } on success, or { error } with a range relative to the text
+function parseLayer(text, startCarrier, endCarrier, settings, withDuration) {
+    // Keywords may come after the duration or after the carrier
+    const trailing = splitTrailingKeywords(text);
+    let keywords = trailing.keywords;
+    let beatText = trailing.text;
+    
+    // "7hz 10 min @ 300hz" or "7hz 10 min @ 300hz to 150hz" sets the carrier for this layer
+    const atIndex = beatText.indexOf('@');
+    if (atIndex !== -1) {
+        const beforeCarrier = splitTrailingKeywords(beatText.slice(0, atIndex).trimEnd());
+        const specText = beatText.slice(atIndex + 1);
+        const specOffset = atIndex + 1 + (specText.length - specText.trimStart().length);
+        const spec = scanCarrier(specText.trim());
+        
+        if (!beforeCarrier.text) {
+            return {
+                error: {
+                    start: 0,
+                    end: text.length,
+                    reason: `Missing beat frequency${withDuration ? ' and duration' : ''} before "@"`,
+                    suggestion: null
+                }
+            };
+        }
+        if (spec.error) {
+            spec.error.start += specOffset;
+            spec.error.end += specOffset;
+            return { error: spec.error };
+        }
+        
+        keywords = beforeCarrier.keywords.concat(keywords);
+        beatText = beforeCarrier.text;
+        startCarrier = spec.startCarrier;
+        endCarrier = spec.endCarrier;
+    }
+    
+    const result = withDuration ? parseSegment(beatText) : parseLayerBeat(beatText);
+    if (result.error) return result;
+    const layer = result.segment;
+    
+    // Apply the keywords, allowing at most one of each kind
+    let curve = null;
+    let mode = null;
+    let waveform = null;
+    let level = null;
+    for (const keyword of keywords) {
+        const kind = CURVE_ALIASES[keyword.word] ? 'curve'
+            : MODE_ALIASES[keyword.word] ? 'mode'
+            : WAVEFORM_ALIASES[keyword.word] ? 'waveform'
+            : 'level';
+        
+        if ((kind === 'curve' && curve) || (kind === 'mode' && mode) || (kind === 'waveform' && waveform) || (kind === 'level' && level !== null)) {
+            return {
+                error: {
+                    start: keyword.start,
+                    end: keyword.end,
+                    reason: `Only one ${kind} can be given per layer`,
+                    suggestion: null
+                }
+            };
+        }
+        
+        if (kind === 'curve') {
+            if (layer.type !== 'transition') {
+                return {
+                    error: {
+                        start: keyword.start,
+                        end: keyword.end,
+                        reason: 'A curve only applies to "X to Y" transitions',
+                        suggestion: null
+                    }
+                };
+            }
+            curve = CURVE_ALIASES[keyword.word];
+        } else if (kind === 'mode') {
+            mode = MODE_ALIASES[keyword.word];
+        } else if (kind === 'waveform') {
+            waveform = WAVEFORM_ALIASES[keyword.word];
+        } else {
+            level = parseFloat(keyword.word) / 100;
+            if (level <= 0 || level > 1) {
+                return {
+                    error: {
+                        start: keyword.start,
+                        end: keyword.end,
+                        reason: 'Layer level must be above 0% and at most 100%',
+                        suggestion: null
+                    }
+                };
+            }
+        }
+    }
+    
+    if (layer.type === 'transition') {
+        layer.curve = curve || 'linear';
+    }
+    layer.startCarrier = startCarrier;
+    layer.endCarrier = endCarrier;
+    layer.mode = mode || settings.mode;
+    if (layer.mode === 'isochronic') {
+        layer.pulseShape = settings.pulseShape;
+    }
+    layer.waveform = waveform || settings.waveform;
+    layer.level = level === null ? 1 : level;
+    
+    // The lower tone is carrier - beat/2, so a binaural or monaural beat can't be wider than twice the carrier
+    const widestBeat = Math.max(layer.startFreq, layer.endFreq);
+    if (layer.mode !== 'isochronic' && widestBeat / 2 >= Math.min(startCarrier, endCarrier)) {
+        return {
+            error: {
+                start: 0,
+                end: text.length,
+                reason: `A ${widestBeat}Hz beat needs a carrier above ${widestBeat / 2}Hz`,
+                suggestion: null
+            }
+        };
+    }
+    
+    return { layer };
+}
+
+// Parse the beat of an extra layer ("40hz" or "40hz to 30hz"), which has no duration of its own
+// Returns { segment } on success, or { error } with a range relative to the text
+function parseLayerBeat(text) {
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(?:hz)?(?:\s*to\s*(\d+(?:\.\d+)?)\s*(?:hz)?)?$/i);
+    
+    if (!match) {
+        const hasDuration = !parseSegment(text).error;
+        return {
+            error: {
+                start: 0,
+                end: text.length,
+                reason: hasDuration
+                    ? 'An extra layer plays for its segment\'s duration, so leave the duration off'
+                    : 'Expected a layer like "40hz" or "40hz to 30hz"',
+                suggestion: null
+            }
+        };
+    }
+    
+    const startFreq = parseFloat(match[1]);
+    const endFreq = match[2] !== undefined ? parseFloat(match[2]) : startFreq;
+    
+    return {
+        segment: {
+            type: match[2] !== undefined ? 'transition' : 'stable',
+            startFreq: startFreq,
+            endFreq: endFreq
+        }
+    };
+}
+
+// Work out why an instruction didn't match and what would fix it
+function diagnoseSegment(part) {
+    // A frequency (or transition) with nothing after it
+    if (/^(\d+(?:\.\d+)?)\s*(?:hz)?(?:\s*to\s*(\d+(?:\.\d+)?)\s*(?:hz)?)?$/i.test(part)) {
+        return {
+            start: 0,
+            end: part.length,
+            reason: 'Missing duration',
+            suggestion: `${part} 10 min`
+        };
+    }
+    
+    // "7 30 min" - a stable frequency needs "hz" to tell it apart from the duration
+    const missingHzMatch = part.match(/^(\d+(?:\.\d+)?)\s+(\d.*)$/);
+    if (missingHzMatch && parseDuration(missingHzMatch[2]) !== null) {
+        return {
+            start: 0,
+            end: missingHzMatch[1].length,
+            reason: `Missing "hz" after ${missingHzMatch[1]}`,
+            suggestion: `${missingHzMatch[1]}hz`
+        };
+    }
+    
+    // "7hz to 1 hr" - transition without an end frequency
+    const missingEndMatch = part.match(/^(\d+(?:\.\d+)?\s*(?:hz)?\s*to)\s*(?!\d+(?:\.\d+)?\s*(?:hz\s*)?\d)/i);
+    if (missingEndMatch) {
+        return {
+            start: 0,
+            end: part.length,
+            reason: 'Transition is missing an end frequency',
+            suggestion: null
+        };
+    }
+    
+    if (!/^\d/.test(part)) {
+        const wordLength = part.search(/\s|$/);
+        return {
+            start: 0,
+            end: wordLength,
+            reason: `Expected a frequency like "7hz" instead of "${part.slice(0, wordLength)}"`,
+            suggestion: null
+        };
+    }
+    
+    return {
+        start: 0,
+        end: part.length,
+        reason: 'Not understood. Use "7hz 30 min" or "10hz to 7hz 1 hr"',
+        suggestion: null
+    };
+}
+
+// Split instruction text into a tree of items: plain instructions, "( ... ) x4" repeat groups,
+// "name = ( ... )" block definitions and "name x2" block references
+// Syntax errors (unbalanced brackets, bad repeat counts) are added to errors; returns { items, position }
+function parseInstructionList(text, position, nested, errors, counter) {
+    const items = [];
+    
+    while (position < text.length) {
+        const itemStart = position;
+        
+        // Read up to the next separator or bracket
+        while (position < text.length && !',()'.includes(text[position])) {
+            position++;
+        }
+        const raw = text.slice(itemStart, position);
+        const rawText = raw.trim();
+        const rawStart = itemStart + raw.indexOf(rawText);
+        
+        if (text[position] === '(') {
+            // A group, possibly being defined as a named block
+            const definitionMatch = rawText.match(/^([a-z][\w-]*)\s*=$/i);
+            if (rawText && !definitionMatch) {
+                errors.push({
+                    segmentIndex: counter.index,
+                    start: rawStart,
+                    end: rawStart + rawText.length,
+                    reason: 'Expected "," before "(", or "name = (...)" to define a block',
+                    suggestion: null
+                });
+            }
+            
+            const groupStart = position;
+            const groupIndex = counter.index;
+            const inner = parseInstructionList(text, position + 1, true, errors, counter);
+            position = inner.position;
+            
+            if (text[position] === ')') {
+                position++;
+            } else {
+                errors.push({
+                    segmentIndex: groupIndex,
+                    start: groupStart,
+                    end: groupStart + 1,
+                    reason: 'This "(" is never closed',
+                    suggestion: null
+                });
+            }
+            
+            // Anything between ")" and the next separator must be a repeat count
+            const suffixStart = position;
+            while (position < text.length && !',()'.includes(text[position])) {
+                position++;
+            }
+            const suffix = text.slice(suffixStart, position).trim();
+            const repeat = scanRepeatCount(suffix);
+            if (repeat.error) {
+                const offset = suffixStart + text.slice(suffixStart, position).indexOf(suffix);
+                errors.push({
+                    segmentIndex: groupIndex,
+                    start: offset,
+                    end: offset + suffix.length,
+                    reason: repeat.error,
+                    suggestion: null
+                });
+            }
+            
+            if (definitionMatch) {
+                items.push({
+                    kind: 'define',
+                    name: definitionMatch[1].toLowerCase(),
+                    items: inner.items,
+                    repeat: repeat.count || 1,
+                    start: rawStart,
+                    end: position
+                });
+            } else {
+                items.push({ kind: 'group', items: inner.items, repeat: repeat.count || 1, start: groupStart, end: position });
+            }
+        } else if (rawText) {
+            const referenceMatch = rawText.match(/^([a-z][\w-]*)(?:\s*[x×*]\s*(\d+))?$/i);
+            
+            if (referenceMatch && referenceMatch[1].toLowerCase() !== 'carrier') {
+                let repeat = referenceMatch[2] === undefined ? 1 : parseInt(referenceMatch[2], 10);
+                if (repeat > MAX_REPEAT_COUNT) {
+                    errors.push({
+                        segmentIndex: counter.index,
+                        start: rawStart,
+                        end: rawStart + rawText.length,
+                        reason: `A block can repeat at most ${MAX_REPEAT_COUNT} times`,
+                        suggestion: null
+                    });
+                    repeat = 1;
+                }
+                items.push({
+                    kind: 'reference',
+                    name: referenceMatch[1].toLowerCase(),
+                    repeat: repeat,
+                    index: counter.index,
+                    start: rawStart,
+                    end: rawStart + rawText.length
+                });
+            } else {
+                items.push({ kind: 'instruction', text: rawText, index: counter.index, start: rawStart });
+            }
+            counter.index++;
+        }
+        
+        if (text[position] === ',') {
+            position++;
+        } else if (text[position] === ')') {
+            if (nested) break;
+            
+            errors.push({
+                segmentIndex: Math.max(0, counter.index - 1),
+                start: position,
+                end: position + 1,
+                reason: 'This ")" has no matching "("',
+                suggestion: null
+            });
+            position++;
+        }
+    }
+    
+    return { items, position };
+}
+
+// Scan the repeat count after a group: "" (play once), "x4", "×4" or "* 4"
+// Returns { count } on success, or { error } with the reason
+function scanRepeatCount(text) {
+    if (!text) return { count: 1 };
+    
+    const match = text.match(/^[x×*]\s*(\d+)$/i);
+    if (!match) {
+        return { error: `Expected a repeat count like "x4" instead of "${text}"` };
+    }
+    
+    const count = parseInt(match[1], 10);
+    if (count < 1) {
+        return { error: 'A group must repeat at least once' };
+    }
+    if (count > MAX_REPEAT_COUNT) {
+        return { error: `A group can repeat at most ${MAX_REPEAT_COUNT} times` };
+    }
+    
+    return { count };
+}
+
+// Expand an item tree into the flat segment list, in playback order
+// Blocks are parsed where they are used, so they pick up the carrier in effect at that point
+function expandInstructionItems(items, state) {
+    for (const item of items) {
+        if (state.segments.length > MAX_SEGMENTS) return;
+        
+        if (item.kind === 'instruction') {
+            const result = parseInstruction(item.text, state.carrier, state.settings);
+            
+            if (result.error) {
+                addInstructionError(state, {
+                    segmentIndex: item.index,
+                    start: item.start + result.error.start,
+                    end: item.start + result.error.end,
+                    reason: result.error.reason,
+                    suggestion: result.error.suggestion
+                });
+            } else {
+                state.carrier = result.carrier;
+                if (result.segment) {
+                    state.segments.push(result.segment);
+                }
+            }
+        } else if (item.kind === 'group') {
+            expandRepeatedItems(item.items, item.repeat, state);
+        } else if (item.kind === 'define') {
+            if (state.definitions.has(item.name)) {
+                addInstructionError(state, {
+                    segmentIndex: firstInstructionIndex(item.items),
+                    start: item.start,
+                    end: item.start + item.name.length,
+                    reason: `A block called "${item.name}" is already defined`,
+                    suggestion: null
+                });
+                continue;
+            }
+            
+            state.definitions.set(item.name, item);
+            
+            // Check the block even if it's never used, without adding its segments
+            state.expanding.add(item.name);
+            expandInstructionItems(item.items, { ...state, segments: [] });
+            state.expanding.delete(item.name);
+        } else {
+            const definition = state.definitions.get(item.name);
+            
+            if (!definition) {
+                addInstructionError(state, {
+                    segmentIndex: item.index,
+                    start: item.start,
+                    end: item.end,
+                    reason: `"${item.name}" isn't an instruction or a block defined earlier`,
+                    suggestion: findClosestWord(item.name, Array.from(state.definitions.keys()))
+                });
+                continue;
+            }
+            
+            // A block used inside itself would never finish expanding
+            if (state.expanding.has(item.name)) {
+                addInstructionError(state, {
+                    segmentIndex: item.index,
+                    start: item.start,
+                    end: item.end,
+                    reason: `The block "${item.name}" refers to itself`,
+                    suggestion: null
+                });
+                continue;
+            }
+            
+            state.expanding.add(item.name);
+            expandRepeatedItems(definition.items, item.repeat * definition.repeat, state);
+            state.expanding.delete(item.name);
+        }
+    }
+    
+    if (state.segments.length > MAX_SEGMENTS && !state.tooLong) {
+        state.tooLong = true;
+        addInstructionError(state, {
+            segmentIndex: 0,
+            start: 0,
+            end: 0,
+            reason: `The program expands to more than ${MAX_SEGMENTS} segments`,
+            suggestion: null
+        });
+    }
+}
+
+// Expand items count times, stopping once the program is too long, or after a pass that adds no
+// segments (an empty group), as the passes after it would add none either
+function expandRepeatedItems(items, count, state) {
+    for (let i = 0; i < count; i++) {
+        const segmentCount = state.segments.length;
+        expandInstructionItems(items, state);
+        if (state.segments.length > MAX_SEGMENTS || state.segments.length === segmentCount) return;
+    }
+}
+
+// Record an error, once, however many times its block or group is expanded
+function addInstructionError(state, error) {
+    const key = `${error.start}:${error.end}:${error.reason}`;
+    if (state.errorKeys.has(key)) return;
+    
+    state.errorKeys.add(key);
+    state.errors.push(error);
+}
+
+// Index of the first instruction or reference in an item tree (for labelling errors on a block)
+function firstInstructionIndex(items) {
+    for (const item of items) {
+        if (item.index !== undefined) return item.index;
+        if (item.items) {
+            const index = firstInstructionIndex(item.items);
+            if (index !== null) return index;
+        }
+    }
+    return null;
+}
+
+// Parse instructions and collect a diagnostic for every part that can't be understood
+// Errors carry the segment index, character range in the text, a reason and a suggested replacement
+// Segments take anything the instructions don't set (carrier, mode, ...) from the session settings
+function analyzeInstructions(text, sessionSettings) {
+    const settings = { ...DEFAULT_SESSION_SETTINGS, ...sessionSettings };
+    const errors = [];
+    const tree = parseInstructionList(text, 0, false, errors, { index: 0 });
+    
+    const state = {
+        settings: settings,
+        carrier: settings.carrier,
+        definitions: new Map(),
+        segments: [],
+        errors: errors,
+        errorKeys: new Set(),
+        // Names of the blocks being expanded, to catch a block used inside itself
+        expanding: new Set(),
+        tooLong: false
+    };
+    expandInstructionItems(tree.items, state);
+    
+    if (state.tooLong) {
+        state.segments.length = MAX_SEGMENTS;
+    }
+    
+    // Report errors in the order they appear in the text
+    errors.sort((a, b) => a.start - b.start || a.end - b.end);
+    
+    return { segments: state.segments, errors };
+}
+
+// Parse instructions from text input, skipping anything that can't be understood
+function parseInstructions(text, sessionSettings) {
+    return analyzeInstructions(text, sessionSettings).segments;
+}
+
+// Read the base tone field, which is the carrier until the instructions change it
+function getBaseTone() {
+    return parseFloat(baseToneInput.value) || DEFAULT_BASE_TONE;
+}
+
+// Read the session-wide settings that segments fall back on
+function getSessionSettings() {
+    return {
+        carrier: getBaseTone(),
+        mode: modeSelect.value,
+        pulseShape: pulseShapeSelect.value,
+        waveform: waveformSelect.value
+    };
+}
+
+// Escape text for insertion into innerHTML
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Re-validate the instructions and show any errors next to the textarea
+function updateInstructionDiagnostics() {
+    const text = instructionsTextarea.value;
+    const analysis = analyzeInstructions(text, getSessionSettings());
+    instructionErrors = analysis.errors;
+    editorSegments = analysis.segments;
+    
+    // Mirror the text behind the textarea with the error ranges marked
+    let html = '';
+    let position = 0;
+    for (const error of instructionErrors) {
+        // A group's error can span errors inside it; only the outermost is marked
+        if (error.start < position) continue;
+        
+        html += escapeHtml(text.slice(position, error.start));
+        html += `<mark>${escapeHtml(text.slice(error.start, error.end))}</mark>`;
+        position = error.end;
+    }
+    // A trailing newline needs something after it or the mirror ends up a line short
+    html += escapeHtml(text.slice(position)) + ' ';
+    instructionsHighlights.innerHTML = html;
+    instructionsHighlights.scrollTop = instructionsTextarea.scrollTop;
+    
+    instructionsTextarea.classList.toggle('has-errors', instructionErrors.length > 0);
+    
+    // List each error with its suggested fix
+    instructionErrorsList.innerHTML = '';
+    for (const error of instructionErrors) {
+        const item = document.createElement('li');
+        item.textContent = `Segment ${error.segmentIndex + 1}: ${error.reason}`;
+        item.addEventListener('click', () => selectInstructionRange(error.start, error.end));
+        
+        if (error.suggestion) {
+            const fixButton = document.createElement('button');
+            fixButton.textContent = `Use "${error.suggestion}"`;
+            fixButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                applyInstructionFix(error);
+            });
+            item.appendChild(fixButton);
+        }
+        
+        instructionErrorsList.appendChild(item);
+    }
+    
+    drawTimeline();
+}
+
+// Select a character range in the instructions textarea
+function selectInstructionRange(start, end) {
+    instructionsTextarea.focus();
+    instructionsTextarea.setSelectionRange(start, end);
+}
+
+// Replace an error's range with its suggested fix
+function applyInstructionFix(error) {
+    const text = instructionsTextarea.value;
+    instructionsTextarea.value = text.slice(0, error.start) + error.suggestion + text.slice(error.end);
+    updateInstructionDiagnostics();
+    selectInstructionRange(error.start, error.start + error.suggestion.length);
+}
+
+// Point the user at the first unresolved error, returning true if there was one
+function reportInstructionErrors() {
+    updateInstructionDiagnostics();
+    if (instructionErrors.length === 0) return false;
+    
+    const firstError = instructionErrors[0];
+    selectInstructionRange(firstError.start, firstError.end);
+    alert(`Please fix the highlighted instructions first (segment ${firstError.segmentIndex + 1}: ${firstError.reason}).`);
+    return true;
+}
+
+// Logistic curve rescaled so it runs exactly from 0 to 1
+function normalizedSigmoid(progress) {
+    const steepness = 10;
+    const logistic = (x) => 1 / (1 + Math.exp(-steepness * (x - 0.5)));
+    return (logistic(progress) - logistic(0)) / (logistic(1) - logistic(0));
+}
+
+// Beat frequency at a point (0-1) through a segment, following its transition curve
+// Shared by live playback and the WAV export so both sound the same
+function getSegmentFrequency(segment, progress) {
+    if (segment.type === 'stable') {
+        return segment.startFreq;
+    }
+    
+    const p = Math.min(1, Math.max(0, progress));
+    const { startFreq, endFreq } = segment;
+    // Exponential and logarithmic curves are ratio based, so need both ends above 0 Hz
+    const ratioCurve = startFreq > 0 && endFreq > 0;
+    
+    switch (segment.curve) {
+        case 'exp':
+            // Equal frequency ratios per unit of time: quick at first, settling into the end frequency
+            if (ratioCurve) return startFreq * Math.pow(endFreq / startFreq, p);
+            break;
+        case 'log':
+            // Mirror image of 'exp': gentle at first, quickening towards the end frequency
+            if (ratioCurve) return startFreq + endFreq - startFreq * Math.pow(endFreq / startFreq, 1 - p);
+            break;
+        case 'sigmoid':
+            return startFreq + (endFreq - startFreq) * normalizedSigmoid(p);
+        case 'ease-in-out':
+            return startFreq + (endFreq - startFreq) * (1 - Math.cos(Math.PI * p)) / 2;
+    }
+    
+    // Linear interpolation between start and end frequencies
+    return startFreq + (endFreq - startFreq) * p;
+}
+
+// Carrier at a point (0-1) through a segment, gliding linearly when it has a start and end carrier
+function getSegmentCarrier(segment, progress) {
+    const p = Math.min(1, Math.max(0, progress));
+    return segment.startCarrier + (segment.endCarrier - segment.startCarrier) * p;
+}
+
+// A segment's layers, starting with the primary layer (the segment itself)
+function getSegmentLayers(segment) {
+    return [segment].concat(segment.layers || []);
+}
+
+// Calculate total duration from segments
+function calculateTotalDuration(segments) {
+    return segments.reduce((total, segment) => total + segment.duration, 0);
+}
+
+// Format time as HH:MM:SS
+function formatTime(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// How each of a layer's oscillator frequencies follows from the beat and carrier, in the order of getLayerFrequencyParams
+function getLayerFrequencyFunctions(layer) {
+    // Isochronic layers keep the carrier steady and pulse at the beat frequency
+    if (layer.mode === 'isochronic') {
+        return [(beat, carrier) => carrier, (beat, carrier) => beat];
+    }
+    
+    return [(beat, carrier) => carrier - beat / 2, (beat, carrier) => carrier + beat / 2];
+}
+
+// The frequency parameters of one layer's oscillators
+function getLayerFrequencyParams(oscLayer) {
+    if (oscLayer.mode === 'isochronic') {
+        return [oscLayer.carrier.frequency, oscLayer.pulse.frequency];
+    }
+    
+    return [oscLayer.left.frequency, oscLayer.right.frequency];
+}
+
+// Every oscillator frequency of a segment at a point (0-1) through it, by layer
+function getSegmentOscillatorFrequencies(segment, progress) {
+    return getSegmentLayers(segment).map(layer => getLayerFrequencyFunctions(layer).map(
+        frequencyAt => frequencyAt(getSegmentFrequency(layer, progress), getSegmentCarrier(layer, progress))
+    ));
+}
+
+// Each oscillator frequency of a segment as a function of the point (0-1) through it, by layer in the order of
+// getLayerFrequencyParams. glideFrom holds the frequencies the previous segment left the oscillators at (as returned
+// by getSegmentOscillatorFrequencies) when they play on into this one; the difference is glided away at the start
+function getSegmentFrequencyFunctions(segment, glideFrom) {
+    const duration = segment.duration / 1000;
+    const glideLength = Math.min(TRANSITION_GLIDE_DURATION, duration * 0.4);
+    
+    return getSegmentLayers(segment).map((layer, i) => getLayerFrequencyFunctions(layer).map((frequencyAt, j) => {
+        const baseValueAt = progress => frequencyAt(getSegmentFrequency(layer, progress), getSegmentCarrier(layer, progress));
+        const offset = glideFrom ? glideFrom[i][j] - baseValueAt(0) : 0;
+        if (offset === 0) return baseValueAt;
+        return progress => baseValueAt(progress) + offset * Math.max(0, 1 - progress * duration / glideLength);
+    }));
+}
+
+// Automate the frequencies of every layer in an oscillator pair on the audio clock, from a point (0-1)
+// through the segment, starting at `time` and reaching the segment's end at `endTime`
+// Straight glides become linear ramps and curved ones a value curve, so the pitch moves smoothly rather than in steps
+// glideFrom is as for getSegmentFrequencyFunctions
+function scheduleSegmentFrequencies(oscPair, segment, fromProgress, time, endTime, glideFrom) {
+    const frequencyFunctions = getSegmentFrequencyFunctions(segment, glideFrom);
+    const unglidedFunctions = getSegmentFrequencyFunctions(segment, null);
+    
+    getSegmentLayers(segment).forEach((layer, i) => {
+        const gliding = layer.type === 'transition' || layer.startCarrier !== layer.endCarrier;
+        const linear = layer.type === 'stable' || layer.curve === 'linear';
+        
+        getLayerFrequencyParams(oscPair.layers[i]).forEach((param, j) => {
+            const valueAt = frequencyFunctions[i][j];
+            const glidesIn = Boolean(glideFrom) && glideFrom[i][j] !== unglidedFunctions[i][j](0);
+            
+            if ((!gliding && !glidesIn) || endTime <= time) {
+                param.setValueAtTime(valueAt(fromProgress), time);
+            } else if (linear && !glidesIn) {
+                param.setValueAtTime(valueAt(fromProgress), time);
+                param.linearRampToValueAtTime(valueAt(1), endTime);
+            } else {
+                const points = Math.min(MAX_CURVE_POINTS, Math.max(2, Math.ceil((endTime - time) * CURVE_POINTS_PER_SECOND)));
+                const curve = new Float32Array(points);
+                for (let point = 0; point < points; point++) {
+                    curve[point] = valueAt(fromProgress + (1 - fromProgress) * point / (points - 1));
+                }
+                param.setValueCurveAtTime(curve, time, endTime - time - CURVE_END_MARGIN);
+            }
+        });
+    });
+}
+
+// ====== SEGMENT TRANSITIONS ======
+
+// Whether the same oscillators can play on from one segment into the next: the same layers, modes, waveforms and levels
+function canContinueSegment(previous, next) {
+    const previousLayers = getSegmentLayers(previous);
+    const nextLayers = getSegmentLayers(next);
+    
+    return previousLayers.length === nextLayers.length && previousLayers.every((layer, i) => {
+        const nextLayer = nextLayers[i];
+        return layer.mode === nextLayer.mode && layer.waveform === nextLayer.waveform &&
+            layer.pulseShape === nextLayer.pulseShape && layer.level === nextLayer.level;
+    });
+}
+
+// How a segment begins: 'first' for the first segment, otherwise how it joins the segment before it
+// ('continue', 'crossfade' or 'gap'). Continuous transitions crossfade where the oscillators can't play on
+function getSegmentJoin(programSegments, index, transition) {
+    if (index === 0) return 'first';
+    if (transition === 'gap') return 'gap';
+    if (transition === 'continuous' && canContinueSegment(programSegments[index - 1], programSegments[index])) return 'continue';
+    return 'crossfade';
+}
+
+// Length of a crossfade into a segment, shortened for segments only a few seconds long (seconds)
+function getCrossfadeLength(segment) {
+    return Math.min(CROSSFADE_DURATION, segment.duration / 1000 * 0.4);
+}
+
+// The fades of a segment's oscillators, as { start, end, from, to, shape } in session seconds (or null for none)
+// The segment runs from segmentStart to segmentEnd; a fade out after its end overlaps the next segment
+function getSegmentFades(programSegments, index, transition, segmentStart, segmentEnd) {
+    const segment = programSegments[index];
+    const length = segmentEnd - segmentStart;
+    const join = getSegmentJoin(programSegments, index, transition);
+    const nextJoin = index + 1 < programSegments.length ? getSegmentJoin(programSegments, index + 1, transition) : null;
+    
+    // Fade in (shortened for segments only a few seconds long so they still reach full volume)
+    let fadeIn = null;
+    if (join === 'first') {
+        fadeIn = { start: segmentStart, end: segmentStart + Math.min(PLAYBACK_FADE_DURATION, length * 0.4), from: 0.001, to: 1, shape: 'exp' };
+    } else if (join === 'crossfade') {
+        fadeIn = { start: segmentStart, end: segmentStart + getCrossfadeLength(segment), from: 0, to: 1, shape: 'in' };
+    } else if (join === 'gap') {
+        // Wait for the previous segment to fade out first
+        const fadeStart = segmentStart + Math.min(FADE_OVERLAP, length * 0.4);
+        fadeIn = { start: fadeStart, end: fadeStart + Math.min(CROSSFADE_DURATION, length * 0.4), from: 0.001, to: 1, shape: 'exp' };
+    }
+    
+    // Fade out to match however the next segment comes in
+    let fadeOut = null;
+    if (nextJoin === null) {
+        fadeOut = { start: segmentEnd - Math.min(PLAYBACK_FADE_DURATION, length * 0.4), end: segmentEnd, from: 1, to: 0, shape: 'linear' };
+    } else if (nextJoin === 'crossfade') {
+        fadeOut = { start: segmentEnd, end: segmentEnd + getCrossfadeLength(programSegments[index + 1]), from: 1, to: 0, shape: 'out' };
+    } else if (nextJoin === 'gap') {
+        fadeOut = { start: segmentEnd, end: segmentEnd + CROSSFADE_DURATION, from: 1, to: 0.001, shape: 'exp' };
+    }
+    
+    return { join, nextJoin, fadeIn, fadeOut };
+}
+
+// Level part way (0-1) through a fade
+// Crossfades follow equal-power curves so the two segments together hold a steady loudness
+function getFadeLevel(fade, progress) {
+    switch (fade.shape) {
+        case 'exp':
+            return fade.from * Math.pow(fade.to / fade.from, progress);
+        case 'in':
+            return Math.sin(progress * Math.PI / 2);
+        case 'out':
+            return Math.cos(progress * Math.PI / 2);
+    }
+    return fade.from + (fade.to - fade.from) * progress;
+}
+
+// Level of a segment's oscillators at a session time, given its fades in order and the level before them
+function getFadesLevel(fades, initialLevel, time) {
+    let level = initialLevel;
+    for (const fade of fades) {
+        if (time < fade.start) break;
+        if (time < fade.end) return getFadeLevel(fade, (time - fade.start) / (fade.end - fade.start));
+        level = fade.to;
+    }
+    return level;
+}
+
+// Automate a gain parameter through a segment's fades from a session time onwards
+// contextTimeOf maps session seconds to the audio context's clock
+function scheduleFades(param, fades, initialLevel, fromTime, contextTimeOf) {
+    // Set the level as it stands unless a fade is already under way, which its curve takes care of
+    if (!fades.some(fade => fade.start <= fromTime && fade.end > fromTime)) {
+        param.setValueAtTime(getFadesLevel(fades, initialLevel, fromTime), contextTimeOf(fromTime));
+    }
+    
+    for (const fade of fades) {
+        if (fade.end <= fromTime) continue;
+        
+        const start = Math.max(fade.start, fromTime);
+        const points = Math.max(2, Math.ceil((fade.end - start) * FADE_CURVE_POINTS_PER_SECOND));
+        const curve = new Float32Array(points);
+        for (let point = 0; point < points; point++) {
+            const time = start + (fade.end - start) * point / (points - 1);
+            curve[point] = getFadeLevel(fade, (time - fade.start) / (fade.end - fade.start));
+        }
+        param.setValueCurveAtTime(curve, contextTimeOf(start), contextTimeOf(fade.end) - contextTimeOf(start) - CURVE_END_MARGIN);
+    }
+}
+
+// Schedule one segment of a program on an oscillator pair from a session time (seconds) onwards: its frequencies,
+// its fades and when the oscillators stop. The export renderer follows the same fades and glides sample by sample
+// Oscillators that play on into the next segment are left running
+function scheduleProgramSegment(oscPair, programSegments, index, transition, segmentStart, fromTime, contextTimeOf, fadeInOverride) {
+    const segment = programSegments[index];
+    const segmentEnd = segmentStart + segment.duration / 1000;
+    const { join, nextJoin, fadeIn, fadeOut } = getSegmentFades(programSegments, index, transition, segmentStart, segmentEnd);
+    
+    const glideFrom = join === 'continue' ? getSegmentOscillatorFrequencies(programSegments[index - 1], 1) : null;
+    const fromProgress = Math.min(1, (fromTime - segmentStart) / (segmentEnd - segmentStart));
+    scheduleSegmentFrequencies(oscPair, segment, fromProgress, contextTimeOf(fromTime), contextTimeOf(segmentEnd), glideFrom);
+    
+    const fades = [fadeInOverride || fadeIn, fadeOut].filter(fade => fade);
+    const initialLevel = join === 'continue' && !fadeInOverride ? 1 : 0;
+    scheduleFades(oscPair.leftGain.gain, fades, initialLevel, fromTime, contextTimeOf);
+    scheduleFades(oscPair.rightGain.gain, fades, initialLevel, fromTime, contextTimeOf);
+    if (oscPair.envelope) {
+        scheduleFades(oscPair.envelope.offset, fades, initialLevel, fromTime, contextTimeOf);
+    }
+    
+    if (nextJoin === 'continue') return;
+    
+    const stopTime = fadeOut ? Math.max(segmentEnd, fadeOut.end) : segmentEnd;
+    stopOscillatorPair(oscPair, contextTimeOf(stopTime) + 0.01);
+}
+
+// Play a segment from a session time (milliseconds), on the previous segment's oscillators when they play on into
+// it, or on new ones. A fadeInDuration starts it with a quick fade in place of its usual one, as when seeking
+function scheduleSegment(segmentIndex, segmentStart, fromTime, fadeInDuration) {
+    const segment = segments[segmentIndex];
+    const from = fromTime / 1000;
+    const contextTimeOf = time => startTime + time;
+    
+    const continues = !fadeInDuration && lastScheduled && lastScheduled.segmentIndex === segmentIndex - 1 &&
+        getSegmentJoin(segments, segmentIndex, playbackTransition) === 'continue';
+    
+    let oscPair;
+    if (continues) {
+        oscPair = lastScheduled.oscPair;
+    } else {
+        oscPair = createOscillatorPair(audioContext, segment);
+        
+        // A silent copy of the pair's fades drives the ducking of the background track
+        const envelope = audioContext.createConstantSource();
+        envelope.offset.value = 0;
+        envelope.connect(beatEnvelopeInput);
+        oscPair.envelope = envelope;
+        oscPair.sources.push(envelope);
+        oscPair.nodes.push(envelope);
+        
+        startOscillatorPair(oscPair, contextTimeOf(from));
+        liveOscillatorPairs.push(oscPair);
+        
+        oscPair.sources[0].onended = () => {
+            liveOscillatorPairs = liveOscillatorPairs.filter(live => live !== oscPair);
+            try {
+                disconnectOscillatorPair(oscPair);
+            } catch (e) {
+                console.log('Error disconnecting:', e);
+            }
+        };
+    }
+    
+    let fadeInOverride = null;
+    if (fadeInDuration) {
+        const segmentEnd = (segmentStart + segment.duration) / 1000;
+        // Don't run into the fade out at the very end of the session
+        const fadeEnd = Math.min(from + fadeInDuration, Math.max(from, segmentEnd - PLAYBACK_FADE_DURATION));
+        if (fadeEnd > from) {
+            fadeInOverride = { start: from, end: fadeEnd, from: 0.001, to: 1, shape: 'exp' };
+        }
+    }
+    
+    scheduleProgramSegment(oscPair, segments, segmentIndex, playbackTransition, segmentStart / 1000, from, contextTimeOf, fadeInOverride);
+    
+    // A silent source marks the segment's end on the audio clock, which keeps the schedule topped up
+    // even when the oscillators play on into the next segment
+    const marker = audioContext.createConstantSource();
+    marker.offset.value = 0;
+    marker.connect(gainNode);
+    marker.start(contextTimeOf(from));
+    marker.stop(contextTimeOf((segmentStart + segment.duration) / 1000));
+    
+    const entry = { segmentIndex, oscPair, marker, start: contextTimeOf(from) };
+    scheduledSegments.push(entry);
+    lastScheduled = entry;
+    
+    marker.onended = () => {
+        scheduledSegments = scheduledSegments.filter(scheduled => scheduled !== entry);
+        marker.disconnect();
+        scheduleSegmentsAhead();
+    };
+}
+
+// Schedule upcoming segments far enough ahead of the audio clock that late or throttled timers can't delay them
+// The next segment change is always scheduled however far off it is, so the chain of ended events carries on
+function scheduleSegmentsAhead() {
+    if (!isPlaying && !isPaused) return;
+    
+    const now = audioContext.currentTime;
+    while (nextScheduledIndex < segments.length) {
+        const time = startTime + nextScheduledStart / 1000;
+        const hasUpcoming = scheduledSegments.some(entry => entry.start > now);
+        if (time > now + SCHEDULE_AHEAD_SECONDS && hasUpcoming) break;
+        
+        scheduleSegment(nextScheduledIndex, nextScheduledStart, nextScheduledStart, null);
+        nextScheduledStart += segments[nextScheduledIndex].duration;
+        nextScheduledIndex++;
+    }
+}
+
+// Stop the segment end markers without setting off their scheduling
+function clearScheduledSegments() {
+    scheduledSegments.forEach(entry => {
+        entry.marker.onended = null;
+        try {
+            entry.marker.stop();
+            entry.marker.disconnect();
+        } catch (e) {
+            console.log('Error stopping segment marker:', e);
+        }
+    });
+    scheduledSegments = [];
+    lastScheduled = null;
+}
+
+// Schedule playback from a point in the session (milliseconds), fading out anything already scheduled
+function schedulePlaybackFrom(time, fadeDuration) {
+    const now = audioContext.currentTime;
+    liveOscillatorPairs.forEach(oscPair => fadeOutOscillatorPair(oscPair, now));
+    liveOscillatorPairs = [];
+    clearScheduledSegments();
+    
+    startTime = now - time / 1000;
+    
+    const segmentIndex = findCurrentSegment(time);
+    const segmentStart = getSegmentStartTime(segmentIndex);
+    const segment = segments[segmentIndex];
+    scheduleSegment(segmentIndex, segmentStart, Math.min(time, segmentStart + segment.duration), fadeDuration);
+    
+    nextScheduledIndex = segmentIndex + 1;
+    nextScheduledStart = segmentStart + segment.duration;
+    scheduleSegmentsAhead();
+}
+
+// Start playing binaural beats
+function startPlaying() {
+    // Don't start a session that would silently skip part of the program
+    if (reportInstructionErrors()) return;
+    
+    initAudio();
+    
+    // Parse instructions
+    // The carrier is captured now so editing the base tone field mid-session doesn't make the pitch jump
+    segments = parseInstructions(instructionsTextarea.value, getSessionSettings());
+    
+    if (segments.length === 0) {
+        alert('Please enter valid instructions.');
+        return;
+    }
+    playbackTransition = transitionSelect.value;
+    
+    // Calculate total duration
+    totalDuration = calculateTotalDuration(segments);
+    progressContainer.setAttribute('aria-valuemax', Math.round(totalDuration / 1000));
+    
+    // Start first segment
+    currentSegmentIndex = 0;
+    lastFrequencyChange = 0;
+    elapsedTime = 0;
+    isPaused = false;
+    const segment = segments[currentSegmentIndex];
+    
+    // Update frequency displays
+    currentBinauralFrequency = segment.startFreq;
+    currentFrequencyDisplay.textContent = `Current Binaural Beat: ${segment.startFreq.toFixed(1)} Hz`;
+    
+    // Set current beat display
+    updateCurrentSegmentDisplay();
+    
+    // Update UI
+    playButton.textContent = 'Pause';
+    isPlaying = true;
+    
+    // Schedule the whole program's automation on the audio clock, ramping up from silence to prevent clicks
+    schedulePlaybackFrom(0, PLAYBACK_FADE_DURATION);
+    
+    // Start the background noise bed and track, if selected
+    startNoise();
+    startTrack();
+    drawTimeline();
+    startAnalyser();
+    
+    // Start update interval
+    if (updateInterval) clearInterval(updateInterval);
+    updateInterval = setInterval(updateBeatProgress, 100);
+    
+    // Update media session state
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.playbackState = 'playing';
+    }
+    updateMediaMetadata();
+    updateMediaPositionState();
+}
+
+// Update the current segment display
+function updateCurrentSegmentDisplay() {
+    if (currentSegmentIndex >= segments.length) return;
+    
+    const segment = segments[currentSegmentIndex];
+    const curveLabel = segment.curve && segment.curve !== 'linear' ? ` (${segment.curve})` : '';
+    const carrierLabel = segment.startCarrier === segment.endCarrier ? `${segment.startCarrier}Hz` : `${segment.startCarrier}Hz to ${segment.endCarrier}Hz`;
+    const beatLabel = segment.type === 'transition' ? `${segment.startFreq}Hz to ${segment.endFreq}Hz${curveLabel}` : `${segment.startFreq}Hz`;
+    const modeLabel = segment.mode !== 'binaural' ? ` (${segment.mode})` : '';
+    const layerCount = segment.layers ? segment.layers.length : 0;
+    const layersLabel = layerCount ? ` + ${layerCount} layer${layerCount > 1 ? 's' : ''}` : '';
+    currentBeatDisplay.textContent = `Current: ${beatLabel} @ ${carrierLabel}${modeLabel}${layersLabel}`;
+    
+    updateMediaMetadata();
+}
+
+// Calculate segment times
+function calculateSegmentTimes() {
+    let times = [];
+    let accumulatedTime = 0;
+    
+    for (let i = 0; i < segments.length; i++) {
+        accumulatedTime += segments[i].duration;
+        times.push(accumulatedTime);
+    }
+    
+    return times;
+}
+
+// Find current segment based on elapsed time
+function findCurrentSegment(elapsedTime) {
+    let accumulatedTime = 0;
+    
+    for (let i = 0; i < segments.length; i++) {
+        accumulatedTime += segments[i].duration;
+        if (elapsedTime < accumulatedTime) {
+            return i;
+        }
+    }
+    
+    return segments.length - 1; // Return last segment if over time
+}
+
+// Calculate when a segment starts in the session
+function getSegmentStartTime(segmentIndex) {
+    let segmentStartTime = 0;
+    
+    for (let i = 0; i < segmentIndex; i++) {
+        segmentStartTime += segments[i].duration;
+    }
+    
+    return segmentStartTime;
+}
+
+// Calculate time within current segment
+function getTimeInSegment(segmentIndex, elapsedTime) {
+    return elapsedTime - getSegmentStartTime(segmentIndex);
+}
+
+// Follow the segment now playing for the displays (the segment changes themselves are already scheduled)
+function checkSegmentTransition() {
+    // Find which segment we should be in based on elapsed time
+    const targetSegmentIndex = findCurrentSegment(elapsedTime);
+    
+    if (targetSegmentIndex !== currentSegmentIndex) {
+        currentSegmentIndex = targetSegmentIndex;
+        updateCurrentSegmentDisplay();
+    }
+}
+
+// Show the beat frequency at the current point in the segment
+function updateCurrentSegmentFrequency() {
+    if (currentSegmentIndex >= segments.length) return;
+    
+    const segment = segments[currentSegmentIndex];
+    
+    // Calculate time within the current segment
+    const timeInSegment = getTimeInSegment(currentSegmentIndex, elapsedTime);
+    // Clamp so a display update landing just past the segment's end doesn't overshoot its end frequency
+    const progress = Math.min(1, Math.max(0, timeInSegment / segment.duration));
+    
+    // Calculate current frequency based on progress
+    const currentFreq = getSegmentFrequency(segment, progress);
+    
+    // Save current binaural frequency for display
+    currentBinauralFrequency = currentFreq;
     
     // Update display frequencies
     currentFrequencyDisplay.textContent = `Current Binaural Beat: ${currentFreq.toFixed(1)} Hz`;
 }
 
-// Update progress bar and time displays
-function updateBeatProgress() {
-    if (!isPlaying) return;
+// Show the elapsed time on the progress bar and the time remaining
+function updateProgressDisplay() {
+    // While the user drags the playhead, the bar follows the pointer instead
+    if (!progressContainer.classList.contains('scrubbing')) {
+        const progress = Math.min(elapsedTime / totalDuration * 100, 100);
+        progressBar.style.width = `${progress}%`;
+    }
+    progressContainer.setAttribute('aria-valuenow', Math.round(elapsedTime / 1000));
+    progressContainer.setAttribute('aria-valuetext', formatTime(elapsedTime));
+    
+    const remainingTime = Math.max(0, totalDuration - elapsedTime);
+    timeRemainingDisplay.textContent = `Time: ${formatTime(remainingTime)}`;
+    
+    updateTimelinePlayhead();
+}
+
+// Update progress bar and time displays
+// Only the displays: the audio is scheduled ahead on the audio clock, so a late or throttled timer can't affect it
+function updateBeatProgress() {
+    if (!isPlaying) return;
+    
+    // Calculate new elapsed time
+    elapsedTime = (audioContext.currentTime - startTime) * 1000;
+    
+    updateProgressDisplay();
+    
+    // Check if we need to move to a new segment
+    checkSegmentTransition();
+    
+    // Update frequency within current segment
+    updateCurrentSegmentFrequency();
+    
+    // If we've reached the end, stop playing
+    if (elapsedTime >= totalDuration) {
+        stopPlaying();
+    }
+}
+
+// Toggle play/pause
+function togglePlayPause() {
+    if (isPlaying) {
+        pausePlaying();
+    } else {
+        if (isPaused) {
+            resumePlaying();
+        } else {
+            startPlaying();
+        }
+    }
+}
+
+// Pause playback
+function pausePlaying() {
+    if (!isPlaying) return;
+    
+    pauseTime = audioContext.currentTime;
+    elapsedTime = (pauseTime - startTime) * 1000;
+    audioContext.suspend();
+    playButton.textContent = 'Play';
+    isPlaying = false;
+    isPaused = true;
+    clearInterval(updateInterval);
+    
+    // Update media session state
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.playbackState = 'paused';
+    }
+    updateMediaPositionState();
+}
+
+// Resume playback
+function resumePlaying() {
+    if (isPlaying || !isPaused) return;
+    
+    audioContext.resume();
+    playButton.textContent = 'Pause';
+    isPlaying = true;
+    
+    // The audio clock stands still while suspended, so startTime and everything scheduled still line up
+    
+    // Restart update interval
+    updateInterval = setInterval(updateBeatProgress, 100);
+    startAnalyser();
+    
+    // Update media session state
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.playbackState = 'playing';
+    }
+    updateMediaPositionState();
+}
+
+// Clean up oscillators safely
+function cleanupOscillators() {
+    const currentTime = audioContext ? audioContext.currentTime : 0;
+    
+    // Function to safely stop and disconnect an oscillator pair
+    const safeCleanup = (oscPair) => {
+        if (!oscPair || !oscPair.started) return;
+        
+        try {
+            // First set gains to zero to prevent pops, cancelling any fade curve still to run, as a value
+            // can't be set during one
+            const params = [oscPair.leftGain.gain, oscPair.rightGain.gain];
+            if (oscPair.envelope) params.push(oscPair.envelope.offset);
+            for (const gain of params) {
+                gain.cancelScheduledValues(currentTime);
+                gain.setValueAtTime(0, currentTime);
+            }
+            
+            // Schedule stop slightly after gain change
+            stopOscillatorPair(oscPair, currentTime + 0.01);
+            
+            // Disconnect everything
+            setTimeout(() => {
+                try {
+                    disconnectOscillatorPair(oscPair);
+                } catch (e) {
+                    console.log('Error disconnecting:', e);
+                }
+            }, 50);
+        } catch (e) {
+            console.log('Error stopping oscillators:', e);
+        }
+    };
+    
+    // Clean up every oscillator pair, playing, fading out or still to come
+    liveOscillatorPairs.forEach(safeCleanup);
+    liveOscillatorPairs = [];
+    clearScheduledSegments();
+    nextScheduledIndex = 0;
+    nextScheduledStart = 0;
+}
+
+// Stop playback
+function stopPlaying() {
+    cleanupOscillators();
+    stopNoise();
+    stopTrack();
+    
+    playButton.textContent = 'Play';
+    isPlaying = false;
+    isPaused = false;
+    elapsedTime = 0;
+    currentSegmentIndex = 0;
+    
+    clearInterval(updateInterval);
+    
+    // Reset displays
+    currentBeatDisplay.textContent = 'Current: Not playing';
+    timeRemainingDisplay.textContent = 'Time: --:--:--';
+    currentFrequencyDisplay.textContent = 'Current Binaural Beat: 0.0 Hz';
+    progressBar.style.width = '0%';
+    progressContainer.setAttribute('aria-valuemax', 0);
+    progressContainer.setAttribute('aria-valuenow', 0);
+    progressContainer.removeAttribute('aria-valuetext');
+    
+    // Update media session state
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.playbackState = 'none';
+    }
+    updateMediaPositionState();
+    updateMediaMetadata();
+    drawTimeline();
+}
+
+// ====== FREQUENCY TIMELINE ======
+
+// The program shown on the timeline: the one playing, or otherwise the one in the editor
+function getTimelineSegments() {
+    return (isPlaying || isPaused) ? segments : editorSegments;
+}
+
+// Size a canvas to match its size on screen so lines stay sharp, and clear it
+// Returns the 2D context, drawing in CSS pixels, and the canvas width and height
+function prepareCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    return { ctx, width, height };
+}
+
+// Draw the beat frequency over the whole program, over the brainwave bands it passes through
+function drawTimeline() {
+    const { ctx, width, height } = prepareCanvas(timelineCanvas);
+    
+    updateTimelinePlayhead();
+    
+    const programSegments = getTimelineSegments();
+    const duration = calculateTotalDuration(programSegments);
+    if (!width || !height || duration === 0) return;
+    
+    // Leave some headroom above the highest beat
+    let highestFreq = 0;
+    for (const segment of programSegments) {
+        highestFreq = Math.max(highestFreq, segment.startFreq, segment.endFreq);
+    }
+    const maxFreq = Math.max(4, highestFreq * 1.15);
+    const x = time => time / duration * width;
+    const y = freq => height - freq / maxFreq * height;
+    
+    // Shade each band the graph reaches, labelled if there's room
+    ctx.font = '11px Arial, sans-serif';
+    ctx.textBaseline = 'top';
+    for (const band of BRAINWAVE_BANDS) {
+        if (band.min >= maxFreq) break;
+        
+        const top = y(Math.min(band.max, maxFreq));
+        const bottom = y(band.min);
+        ctx.fillStyle = band.color;
+        ctx.fillRect(0, top, width, bottom - top);
+        
+        if (bottom - top >= 14) {
+            ctx.fillStyle = '#888';
+            ctx.fillText(`${band.name} ${band.min}${band.max === Infinity ? '+' : `-${band.max}`} Hz`, 4, top + 2);
+        }
+    }
+    
+    // Trace the beat, sampling curved transitions about once per pixel
+    ctx.beginPath();
+    let segmentStart = 0;
+    programSegments.forEach((segment, i) => {
+        const startX = x(segmentStart);
+        const endX = x(segmentStart + segment.duration);
+        const steps = segment.type === 'transition' && segment.curve !== 'linear'
+            ? Math.max(1, Math.ceil(endX - startX))
+            : 1;
+        
+        for (let step = 0; step <= steps; step++) {
+            const progress = step / steps;
+            const pointX = startX + (endX - startX) * progress;
+            const pointY = y(getSegmentFrequency(segment, progress));
+            if (i === 0 && step === 0) {
+                ctx.moveTo(pointX, pointY);
+            } else {
+                ctx.lineTo(pointX, pointY);
+            }
+        }
+        
+        segmentStart += segment.duration;
+    });
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+    
+    // Label the length of the program
+    ctx.fillStyle = '#555';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatTime(duration), width - 4, height - 2);
+    ctx.textAlign = 'left';
+}
+
+// Move the playhead to the current position, or hide it when nothing is playing
+function updateTimelinePlayhead() {
+    if ((!isPlaying && !isPaused) || !totalDuration) {
+        timelinePlayhead.hidden = true;
+        return;
+    }
+    
+    timelinePlayhead.style.left = `${Math.min(elapsedTime / totalDuration * 100, 100)}%`;
+    timelinePlayhead.hidden = false;
+}
+
+// ====== SIGNAL ANALYSER ======
+
+// Find the strongest frequency between two limits, interpolating between FFT bins
+// Returns { frequency, level } in Hz and dB, or null if nothing is above the silence level
+function findSpectrumPeak(data, binWidth, lowFreq, highFreq) {
+    const firstBin = Math.max(1, Math.floor(lowFreq / binWidth));
+    const lastBin = Math.min(data.length - 2, Math.ceil(highFreq / binWidth));
+    
+    let peakBin = -1;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        if (peakBin === -1 || data[bin] > data[peakBin]) peakBin = bin;
+    }
+    if (peakBin === -1 || !(data[peakBin] > ANALYSER_SILENCE_DB)) return null;
+    
+    // Fit a parabola through the peak bin and its neighbours for a finer estimate
+    const before = data[peakBin - 1];
+    const after = data[peakBin + 1];
+    const curvature = before - 2 * data[peakBin] + after;
+    const offset = isFinite(curvature) && curvature !== 0 ? 0.5 * (before - after) / curvature : 0;
+    
+    return { frequency: (peakBin + offset) * binWidth, level: data[peakBin] };
+}
+
+// Draw the left and right spectra around the current carrier and report the tone in each ear
+function drawSpectrum() {
+    const { ctx, width, height } = prepareCanvas(spectrumCanvas);
+    const left = new Float32Array(analyserLeft.frequencyBinCount);
+    const right = new Float32Array(analyserRight.frequencyBinCount);
+    analyserLeft.getFloatFrequencyData(left);
+    analyserRight.getFloatFrequencyData(right);
+    
+    // Centre the view on the current carrier, wide enough to show both tones of the beat
+    const segment = segments[currentSegmentIndex];
+    const progress = segment ? Math.min(1, Math.max(0, getTimeInSegment(currentSegmentIndex, elapsedTime) / segment.duration)) : 0;
+    const carrier = segment ? getSegmentCarrier(segment, progress) : getBaseTone();
+    const span = Math.max(20, currentBinauralFrequency * 2.5);
+    const lowFreq = Math.max(0, carrier - span);
+    const highFreq = carrier + span;
+    
+    const binWidth = audioContext.sampleRate / ANALYSER_FFT_SIZE;
+    const x = freq => (freq - lowFreq) / (highFreq - lowFreq) * width;
+    const y = level => height - Math.min(1, Math.max(0, (level - analyserLeft.minDecibels) / (analyserLeft.maxDecibels - analyserLeft.minDecibels))) * height;
+    
+    // Mark the carrier
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x(carrier), 0);
+    ctx.lineTo(x(carrier), height);
+    ctx.stroke();
+    
+    for (const [data, color] of [[left, '#3498db'], [right, '#e74c3c']]) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        const firstBin = Math.max(0, Math.floor(lowFreq / binWidth));
+        const lastBin = Math.min(data.length - 1, Math.ceil(highFreq / binWidth));
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+            const pointY = y(isFinite(data[bin]) ? data[bin] : analyserLeft.minDecibels);
+            if (bin === firstBin) {
+                ctx.moveTo(x(bin * binWidth), pointY);
+            } else {
+                ctx.lineTo(x(bin * binWidth), pointY);
+            }
+        }
+        ctx.stroke();
+    }
+    
+    ctx.fillStyle = '#aaa';
+    ctx.font = '11px Arial, sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${Math.round(lowFreq)} Hz`, 4, height - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(highFreq)} Hz`, width - 4, height - 2);
+    ctx.textAlign = 'left';
+    
+    // Report the strongest tone in each ear and the difference between them
+    const leftPeak = findSpectrumPeak(left, binWidth, lowFreq, highFreq);
+    const rightPeak = findSpectrumPeak(right, binWidth, lowFreq, highFreq);
+    const describePeak = peak => peak ? `${peak.frequency.toFixed(1)} Hz` : 'no signal';
+    let readout = `Left: ${describePeak(leftPeak)} \u00b7 Right: ${describePeak(rightPeak)}`;
+    if (leftPeak && rightPeak) {
+        readout += ` \u00b7 Difference: ${Math.abs(rightPeak.frequency - leftPeak.frequency).toFixed(1)} Hz`;
+    }
+    analyserReadout.textContent = readout;
+}
+
+// Trace the left channel against the right; binaural tones drift through ellipses at the beat rate
+function drawScope() {
+    const { ctx, width, height } = prepareCanvas(scopeCanvas);
+    const left = new Float32Array(analyserLeft.fftSize);
+    const right = new Float32Array(analyserRight.fftSize);
+    analyserLeft.getFloatTimeDomainData(left);
+    analyserRight.getFloatTimeDomainData(right);
+    
+    // Scale the most recent samples to fill the scope, whatever the volume
+    const start = left.length - SCOPE_SAMPLES;
+    let peak = 0.001;
+    for (let i = start; i < left.length; i++) {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+    }
+    const scale = 0.45 / peak;
+    
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+    
+    ctx.strokeStyle = 'rgba(46, 204, 113, 0.8)';
+    ctx.beginPath();
+    for (let i = start; i < left.length; i++) {
+        const pointX = width / 2 + left[i] * scale * width;
+        const pointY = height / 2 - right[i] * scale * height;
+        if (i === start) {
+            ctx.moveTo(pointX, pointY);
+        } else {
+            ctx.lineTo(pointX, pointY);
+        }
+    }
+    ctx.stroke();
+}
+
+// Draw one frame of the analyser, and keep animating while it's open and audio is playing
+function drawAnalyser() {
+    analyserFrame = null;
+    if (!analyserView.open || !analyserLeft) return;
+    
+    drawSpectrum();
+    drawScope();
+    
+    if (isPlaying) {
+        analyserFrame = requestAnimationFrame(drawAnalyser);
+    }
+}
+
+// Start the analyser animation if it isn't already running
+function startAnalyser() {
+    if (analyserFrame === null) {
+        analyserFrame = requestAnimationFrame(drawAnalyser);
+    }
+}
+
+// ====== SEEKING ======
+
+// Fade an oscillator pair out quickly from wherever its gain is now, then stop it
+function fadeOutOscillatorPair(oscPair, time) {
+    if (!oscPair || !oscPair.started) return;
+    
+    try {
+        const params = [oscPair.leftGain.gain, oscPair.rightGain.gain];
+        if (oscPair.envelope) params.push(oscPair.envelope.offset);
+        for (const gain of params) {
+            gain.cancelScheduledValues(time);
+            gain.setValueAtTime(gain.value, time);
+            gain.linearRampToValueAtTime(0, time + SEEK_FADE_DURATION);
+        }
+        
+        // Disconnect once the oscillators have actually stopped, which waits for the fade even while paused
+        oscPair.sources[0].onended = () => {
+            try {
+                disconnectOscillatorPair(oscPair);
+            } catch (e) {
+                console.log('Error disconnecting:', e);
+            }
+        };
+        stopOscillatorPair(oscPair, time + SEEK_FADE_DURATION + 0.01);
+    } catch (e) {
+        console.log('Error fading out oscillators:', e);
+    }
+}
+
+// Move playback to a time (milliseconds) in the session, whether playing or paused
+// The background noise and track keep running, since they have no position in the program
+function seekTo(time) {
+    if (!isPlaying && !isPaused) return;
+    
+    // Stay just short of the end so playback doesn't stop the moment it resumes
+    elapsedTime = Math.min(Math.max(0, time), Math.max(0, totalDuration - 1));
+    
+    // Fresh oscillators pick up at the new time with their frequencies already there, and a short fade avoids a click
+    schedulePlaybackFrom(elapsedTime, SEEK_FADE_DURATION);
+    
+    checkSegmentTransition();
+    updateCurrentSegmentFrequency();
+    updateProgressDisplay();
+    updateMediaPositionState();
+}
+
+// Skip to the start of the next segment
+function skipToNextSegment() {
+    if (!isPlaying && !isPaused) return;
+    if (currentSegmentIndex + 1 >= segments.length) return;
+    
+    seekTo(getSegmentStartTime(currentSegmentIndex + 1));
+}
+
+// Go back to the start of this segment, or to the previous one if this one has only just started
+function skipToPreviousSegment() {
+    if (!isPlaying && !isPaused) return;
+    
+    const segmentStart = getSegmentStartTime(currentSegmentIndex);
+    const targetIndex = elapsedTime - segmentStart < PREVIOUS_SEGMENT_GRACE && currentSegmentIndex > 0
+        ? currentSegmentIndex - 1
+        : currentSegmentIndex;
+    seekTo(getSegmentStartTime(targetIndex));
+}
+
+// The session time (milliseconds) under a pointer on the progress bar
+function getProgressTimeAt(clientX) {
+    const rect = progressContainer.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return fraction * totalDuration;
+}
+
+// Show the time under the pointer above the progress bar
+function showProgressTooltip(clientX) {
+    if (!isPlaying && !isPaused) {
+        progressTooltip.hidden = true;
+        return;
+    }
+    
+    const rect = progressContainer.getBoundingClientRect();
+    const time = getProgressTimeAt(clientX);
+    progressTooltip.textContent = formatTime(time);
+    progressTooltip.style.left = `${time / totalDuration * rect.width}px`;
+    progressTooltip.hidden = false;
+}
+
+// Start dragging the playhead
+function handleProgressPointerDown(event) {
+    if (!isPlaying && !isPaused) return;
+    
+    event.preventDefault();
+    progressContainer.setPointerCapture(event.pointerId);
+    progressContainer.classList.add('scrubbing');
+    handleProgressPointerMove(event);
+}
+
+// Follow the pointer, moving the bar while dragging
+function handleProgressPointerMove(event) {
+    showProgressTooltip(event.clientX);
+    
+    if (progressContainer.classList.contains('scrubbing')) {
+        progressBar.style.width = `${getProgressTimeAt(event.clientX) / totalDuration * 100}%`;
+    }
+}
+
+// Seek to wherever the drag ended
+function handleProgressPointerUp(event) {
+    if (!progressContainer.classList.contains('scrubbing')) return;
+    
+    progressContainer.classList.remove('scrubbing');
+    seekTo(getProgressTimeAt(event.clientX));
+    if (event.pointerType !== 'mouse') {
+        progressTooltip.hidden = true;
+    }
+}
+
+// Step the playhead with the arrow, Home and End keys
+function handleProgressKeydown(event) {
+    if (!isPlaying && !isPaused) return;
+    
+    const targets = {
+        ArrowLeft: elapsedTime - SEEK_STEP,
+        ArrowDown: elapsedTime - SEEK_STEP,
+        ArrowRight: elapsedTime + SEEK_STEP,
+        ArrowUp: elapsedTime + SEEK_STEP,
+        Home: 0,
+        End: totalDuration
+    };
+    if (!(event.key in targets)) return;
+    
+    event.preventDefault();
+    seekTo(targets[event.key]);
+}
+
+// Handle restart button
+function handleRestart() {
+    // First completely stop and clean up
+    if (isPlaying || isPaused) {
+        stopPlaying();
+        
+        // Small delay to ensure clean state before starting again
+        setTimeout(() => {
+            startPlaying();
+        }, 200);
+    } else {
+        startPlaying();
+    }
+}
+
+// ====== PRESETS ======
+
+// Everything needed to recreate the current session from the editor and controls
+function getSessionState() {
+    return {
+        instructions: instructionsTextarea.value,
+        baseTone: getBaseTone(),
+        mode: modeSelect.value,
+        pulseShape: pulseShapeSelect.value,
+        waveform: waveformSelect.value,
+        transition: transitionSelect.value,
+        noiseType: noiseTypeSelect.value,
+        noiseLevel: parseFloat(noiseLevelInput.value),
+        trackLevel: parseFloat(trackLevelInput.value),
+        trackDuck: parseFloat(trackDuckInput.value)
+    };
+}
+
+// Put a session back into the editor and controls (missing values keep their current setting)
+function applySessionState(session) {
+    const fields = [
+        [instructionsTextarea, session.instructions],
+        [baseToneInput, session.baseTone],
+        [modeSelect, session.mode],
+        [pulseShapeSelect, session.pulseShape],
+        [waveformSelect, session.waveform],
+        [transitionSelect, session.transition],
+        [noiseTypeSelect, session.noiseType],
+        [noiseLevelInput, session.noiseLevel],
+        [trackLevelInput, session.trackLevel],
+        [trackDuckInput, session.trackDuck]
+    ];
+    
+    for (const [element, value] of fields) {
+        if (value !== undefined && value !== null) {
+            element.value = value;
+        }
+    }
+    
+    updateInstructionDiagnostics();
+    handleNoiseChange();
+    handleTrackLevelChange();
+    handleTrackDuckChange();
+}
+
+// Whether a stored preset has what the library needs: an id, a name and a session with instructions
+function isValidUserPreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return false;
+    if (typeof preset.id !== 'string' || typeof preset.name !== 'string') return false;
+    
+    const session = preset.session;
+    return Boolean(session) && typeof session === 'object' && !Array.isArray(session) && typeof session.instructions === 'string';
+}
+
+// Read the user's presets from localStorage, leaving out any stored entry that isn't a whole preset
+function loadUserPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(isValidUserPreset) : [];
+    } catch (e) {
+        console.log('Error reading presets:', e);
+        return [];
+    }
+}
+
+// Write the user's presets to localStorage
+function saveUserPresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+        console.error('Error saving presets:', e);
+        alert('Could not save presets. Your browser may be blocking local storage or it may be full.');
+    }
+}
+
+// Create an id for a new preset
+function createPresetId() {
+    return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Ask for a preset name, returning null if cancelled or left blank
+function promptPresetName(message, defaultName) {
+    const name = prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+}
+
+// Save the current session as a new preset
+function saveCurrentAsPreset() {
+    const name = promptPresetName('Name for this preset:', 'My session');
+    if (!name) return;
+    
+    const presets = loadUserPresets();
+    presets.push({ id: createPresetId(), name: name, session: getSessionState() });
+    saveUserPresets(presets);
+    renderPresetList();
+}
+
+// Rename one of the user's presets
+function renamePreset(id) {
+    const presets = loadUserPresets();
+    const preset = presets.find(p => p.id === id);
+    if (!preset) return;
+    
+    const name = promptPresetName('New name:', preset.name);
+    if (!name) return;
+    
+    preset.name = name;
+    saveUserPresets(presets);
+    renderPresetList();
+}
+
+// Copy any preset (built-in or the user's) into a new user preset
+function duplicatePreset(id) {
+    const presets = loadUserPresets();
+    const original = BUILT_IN_PRESETS.concat(presets).find(p => p.id === id);
+    if (!original) return;
+    
+    presets.push({
+        id: createPresetId(),
+        name: `${original.name} (copy)`,
+        session: { ...original.session }
+    });
+    saveUserPresets(presets);
+    renderPresetList();
+}
+
+// Delete one of the user's presets
+function deletePreset(id) {
+    const presets = loadUserPresets();
+    const preset = presets.find(p => p.id === id);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    
+    saveUserPresets(presets.filter(p => p.id !== id));
+    renderPresetList();
+}
+
+// Load a preset into the editor
+function loadPreset(id) {
+    const preset = BUILT_IN_PRESETS.concat(loadUserPresets()).find(p => p.id === id);
+    if (preset) {
+        applySessionState(preset.session);
+    }
+}
+
+// List the built-in and user presets, each with its actions
+function renderPresetList() {
+    presetList.innerHTML = '';
+    
+    const addPreset = (preset, isBuiltIn) => {
+        const item = document.createElement('li');
+        
+        const loadButton = document.createElement('button');
+        loadButton.className = 'preset-load';
+        loadButton.textContent = preset.name;
+        loadButton.title = preset.session.instructions;
+        loadButton.addEventListener('click', () => loadPreset(preset.id));
+        item.appendChild(loadButton);
+        
+        const actions = isBuiltIn
+            ? [['Duplicate', duplicatePreset]]
+            : [['Rename', renamePreset], ['Duplicate', duplicatePreset], ['Delete', deletePreset]];
+        for (const [label, action] of actions) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'preset-action';
+            actionButton.textContent = label;
+            actionButton.setAttribute('aria-label', `${label} preset ${preset.name}`);
+            actionButton.addEventListener('click', () => action(preset.id));
+            item.appendChild(actionButton);
+        }
+        
+        presetList.appendChild(item);
+    };
+    
+    BUILT_IN_PRESETS.forEach(preset => addPreset(preset, true));
+    loadUserPresets().forEach(preset => addPreset(preset, false));
+}
+
+// ====== SESSION FILES ======
+
+// Values each session setting may take in a session file
+const SESSION_SETTING_OPTIONS = {
+    mode: ['binaural', 'monaural', 'isochronic'],
+    pulseShape: ['square', 'sine', 'ramp'],
+    waveform: Object.keys(WAVEFORMS),
+    transition: TRANSITION_STYLES,
+    noiseType: ['none', 'white', 'pink', 'brown']
+};
+
+// Upgrades from each older schema version to the next, keyed by the version they upgrade from
+// Version 0 is a bare session object, the shape the preset library stores, with no format, metadata or segments
+const SESSION_MIGRATIONS = {
+    0: (sessionData) => {
+        const settings = {
+            baseTone: sessionData.baseTone !== undefined ? sessionData.baseTone : DEFAULT_SESSION_SETTINGS.carrier,
+            mode: sessionData.mode || DEFAULT_SESSION_SETTINGS.mode,
+            pulseShape: sessionData.pulseShape || DEFAULT_SESSION_SETTINGS.pulseShape,
+            waveform: sessionData.waveform || DEFAULT_SESSION_SETTINGS.waveform,
+            transition: sessionData.transition,
+            noiseType: sessionData.noiseType || 'none',
+            noiseLevel: sessionData.noiseLevel !== undefined ? sessionData.noiseLevel : 30,
+            trackLevel: sessionData.trackLevel !== undefined ? sessionData.trackLevel : 50,
+            trackDuck: sessionData.trackDuck !== undefined ? sessionData.trackDuck : 0
+        };
+        
+        return {
+            format: SESSION_FILE_FORMAT,
+            version: 1,
+            metadata: { name: '', author: '', notes: '' },
+            settings: settings,
+            instructions: sessionData.instructions,
+            segments: typeof sessionData.instructions === 'string'
+                ? parseInstructions(sessionData.instructions, getParserSettings(settings))
+                : []
+        };
+    },
+    // Sessions from before transition styles keep the short gap they always played with
+    1: (sessionData) => Object.assign({}, sessionData, {
+        version: 2,
+        settings: Object.assign({}, sessionData.settings, {
+            transition: sessionData.settings && sessionData.settings.transition || 'gap'
+        })
+    }),
+    // Sessions from before ducking leave the background track at its level throughout
+    2: (sessionData) => Object.assign({}, sessionData, {
+        version: 3,
+        settings: Object.assign({}, sessionData.settings, {
+            trackDuck: sessionData.settings && sessionData.settings.trackDuck !== undefined ? sessionData.settings.trackDuck : 0
+        })
+    })
+};
+
+// The parser's session settings for a session file's settings
+function getParserSettings(settings) {
+    return {
+        carrier: settings.baseTone,
+        mode: settings.mode,
+        pulseShape: settings.pulseShape,
+        waveform: settings.waveform
+    };
+}
+
+// Build a session file for the current editor, controls and session details
+function createSessionDocument() {
+    const state = getSessionState();
+    
+    return {
+        format: SESSION_FILE_FORMAT,
+        version: SESSION_FILE_VERSION,
+        metadata: {
+            name: sessionNameInput.value.trim(),
+            author: sessionAuthorInput.value.trim(),
+            notes: sessionNotesInput.value
+        },
+        settings: {
+            baseTone: state.baseTone,
+            mode: state.mode,
+            pulseShape: state.pulseShape,
+            waveform: state.waveform,
+            transition: state.transition,
+            noiseType: state.noiseType,
+            noiseLevel: state.noiseLevel,
+            trackLevel: state.trackLevel,
+            trackDuck: state.trackDuck
+        },
+        instructions: state.instructions,
+        segments: parseInstructions(state.instructions, getSessionSettings())
+    };
+}
+
+// Whether two JSON values are equal, ignoring the order of object keys
+function isSameJsonValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+            a.every((value, i) => isSameJsonValue(value, b[i]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameJsonValue(a[key], b[key]));
+    }
+    return a === b;
+}
+
+// Whether a value is a number greater than zero
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+// Whether a value is a number of zero or more
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Check one layer of a session file segment, returning an error message or null
+function validateSessionLayer(layer, path, settings, withDuration) {
+    if (!layer || typeof layer !== 'object') return `${path} must be an object`;
+    if (layer.type !== 'stable' && layer.type !== 'transition') return `${path}.type must be "stable" or "transition"`;
+    // A beat may be 0 Hz, as the instructions allow, leaving both ears on the carrier
+    if (!isNonNegativeNumber(layer.startFreq)) return `${path}.startFreq must be a number of 0 or more`;
+    if (!isNonNegativeNumber(layer.endFreq)) return `${path}.endFreq must be a number of 0 or more`;
+    if (layer.type === 'stable' && layer.startFreq !== layer.endFreq) return `${path} is stable, so startFreq and endFreq must match`;
+    if (withDuration && !isPositiveNumber(layer.duration)) return `${path}.duration must be a positive number of milliseconds`;
+    if (layer.type === 'transition' && !Object.values(CURVE_ALIASES).includes(layer.curve)) {
+        return `${path}.curve must be one of ${Array.from(new Set(Object.values(CURVE_ALIASES))).join(', ')}`;
+    }
+    for (const key of ['startCarrier', 'endCarrier']) {
+        if (typeof layer[key] !== 'number' || !(layer[key] >= MIN_CARRIER && layer[key] <= MAX_CARRIER)) {
+            return `${path}.${key} must be between ${MIN_CARRIER} and ${MAX_CARRIER}`;
+        }
+    }
+    if (!SESSION_SETTING_OPTIONS.mode.includes(layer.mode)) return `${path}.mode must be one of ${SESSION_SETTING_OPTIONS.mode.join(', ')}`;
+    // Pulse shape is a session-wide setting, so isochronic layers all share it
+    if (layer.mode === 'isochronic' && layer.pulseShape !== settings.pulseShape) return `${path}.pulseShape must match settings.pulseShape`;
+    if (!SESSION_SETTING_OPTIONS.waveform.includes(layer.waveform)) return `${path}.waveform must be one of ${SESSION_SETTING_OPTIONS.waveform.join(', ')}`;
+    if (!isPositiveNumber(layer.level) || layer.level > 1) return `${path}.level must be above 0 and at most 1`;
+    return null;
+}
+
+// Check a session file against the current schema, returning an error message or null
+function validateSessionDocument(sessionData) {
+    const metadata = sessionData.metadata;
+    if (metadata !== undefined) {
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return 'metadata must be an object';
+        for (const key of ['name', 'author', 'notes']) {
+            if (metadata[key] !== undefined && typeof metadata[key] !== 'string') return `metadata.${key} must be text`;
+        }
+    }
+    
+    const settings = sessionData.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'settings must be an object';
+    if (typeof settings.baseTone !== 'number' || !(settings.baseTone >= MIN_CARRIER && settings.baseTone <= MAX_CARRIER)) {
+        return `settings.baseTone must be between ${MIN_CARRIER} and ${MAX_CARRIER}`;
+    }
+    for (const [key, options] of Object.entries(SESSION_SETTING_OPTIONS)) {
+        if (!options.includes(settings[key])) return `settings.${key} must be one of ${options.join(', ')}`;
+    }
+    for (const key of ['noiseLevel', 'trackLevel', 'trackDuck']) {
+        if (typeof settings[key] !== 'number' || !(settings[key] >= 0 && settings[key] <= 100)) return `settings.${key} must be between 0 and 100`;
+    }
+    
+    if (sessionData.instructions !== undefined && typeof sessionData.instructions !== 'string') return 'instructions must be text';
+    
+    if (!Array.isArray(sessionData.segments) || sessionData.segments.length === 0) return 'segments must be a list with at least one segment';
+    if (sessionData.segments.length > MAX_SEGMENTS) return `segments can't have more than ${MAX_SEGMENTS} entries`;
+    for (let i = 0; i < sessionData.segments.length; i++) {
+        const segment = sessionData.segments[i];
+        const path = `segments[${i}]`;
+        const error = validateSessionLayer(segment, path, settings, true);
+        if (error) return error;
+        
+        if (segment.layers !== undefined) {
+            if (!Array.isArray(segment.layers) || segment.layers.length === 0) return `${path}.layers must be a list with at least one layer`;
+            for (let j = 0; j < segment.layers.length; j++) {
+                const layerError = validateSessionLayer(segment.layers[j], `${path}.layers[${j}]`, settings, false);
+                if (layerError) return layerError;
+            }
+        }
+    }
+    
+    return null;
+}
+
+// Write a duration in milliseconds in the largest unit that keeps it whole
+function formatInstructionDuration(milliseconds) {
+    if (milliseconds % DURATION_UNITS.hr === 0) return `${milliseconds / DURATION_UNITS.hr} hr`;
+    if (milliseconds % DURATION_UNITS.min === 0) return `${milliseconds / DURATION_UNITS.min} min`;
+    return `${milliseconds / DURATION_UNITS.sec} sec`;
+}
+
+// Write one layer as instruction text, leaving out anything that would be filled in anyway
+function formatLayerInstruction(layer, duration, carrier, settings) {
+    const words = [layer.type === 'transition' ? `${layer.startFreq}hz to ${layer.endFreq}hz` : `${layer.startFreq}hz`];
+    
+    if (duration !== null) words.push(formatInstructionDuration(duration));
+    if (layer.type === 'transition' && layer.curve !== 'linear') words.push(layer.curve);
+    if (layer.mode !== settings.mode) words.push(layer.mode);
+    if (layer.waveform !== settings.waveform) words.push(layer.waveform);
+    if (layer.level !== 1) words.push(`${+(layer.level * 100).toPrecision(12)}%`);
+    
+    if (layer.startCarrier !== carrier.start || layer.endCarrier !== carrier.end) {
+        words.push(layer.startCarrier === layer.endCarrier
+            ? `@ ${layer.startCarrier}hz`
+            : `@ ${layer.startCarrier}hz to ${layer.endCarrier}hz`);
+    }
+    
+    return words.join(' ');
+}
+
+// Write segments as instruction text that parses back into the same segments
+function segmentsToInstructions(segments, settings) {
+    let carrier = settings.carrier;
+    
+    return segments.map(segment => {
+        const primary = formatLayerInstruction(segment, segment.duration, { start: carrier, end: carrier }, settings);
+        const extras = (segment.layers || []).map(layer =>
+            formatLayerInstruction(layer, null, { start: segment.startCarrier, end: segment.endCarrier }, settings));
+        
+        // The carrier carries on into the next segment from where this one ends
+        carrier = segment.endCarrier;
+        return [primary].concat(extras).join(' + ');
+    }).join(',\n');
+}
+
+// Validate and upgrade a parsed session file
+// Returns { session, metadata } ready for the editor, or { error } describing what's wrong
+function readSessionDocument(sessionData) {
+    if (!sessionData || typeof sessionData !== 'object' || Array.isArray(sessionData)) {
+        return { error: 'This doesn\'t contain a session.' };
+    }
+    
+    // Older files are upgraded one version at a time; a bare session object counts as version 0
+    const isBareSession = sessionData.format === undefined && sessionData.version === undefined && typeof sessionData.instructions === 'string';
+    if (!isBareSession && sessionData.format !== SESSION_FILE_FORMAT) {
+        return { error: 'This isn\'t a binaural beat session.' };
+    }
+    let version = isBareSession ? 0 : sessionData.version;
+    if (!Number.isInteger(version) || version < 0) {
+        return { error: 'The session has no valid version number.' };
+    }
+    if (version > SESSION_FILE_VERSION) {
+        return { error: `The session is version ${version}, but this page only reads up to version ${SESSION_FILE_VERSION}. Please use a newer version of the generator.` };
+    }
+    while (version < SESSION_FILE_VERSION) {
+        sessionData = SESSION_MIGRATIONS[version](sessionData);
+        version = sessionData.version;
+    }
+    
+    const validationError = validateSessionDocument(sessionData);
+    if (validationError) {
+        return { error: `The session is invalid: ${validationError}.` };
+    }
+    
+    // Keep the file's own instructions when they produce exactly its segments, otherwise write them out from the segments
+    const settings = getParserSettings(sessionData.settings);
+    let instructions = sessionData.instructions;
+    const matchesSegments = (text) => {
+        const result = analyzeInstructions(text, settings);
+        return result.errors.length === 0 && isSameJsonValue(result.segments, sessionData.segments);
+    };
+    if (typeof instructions !== 'string' || !matchesSegments(instructions)) {
+        instructions = segmentsToInstructions(sessionData.segments, settings);
+        if (!matchesSegments(instructions)) {
+            return { error: 'The session is invalid: its segments can\'t be written as instructions (check that each beat fits its carrier).' };
+        }
+    }
+    
+    return {
+        session: { ...sessionData.settings, instructions: instructions },
+        metadata: {
+            name: (sessionData.metadata && sessionData.metadata.name) || '',
+            author: (sessionData.metadata && sessionData.metadata.author) || '',
+            notes: (sessionData.metadata && sessionData.metadata.notes) || ''
+        }
+    };
+}
+
+// Save the current session as a JSON file
+function exportSession() {
+    if (reportInstructionErrors()) return;
+    
+    const sessionDocument = createSessionDocument();
+    if (sessionDocument.segments.length === 0) {
+        alert('Please enter valid instructions before exporting.');
+        return;
+    }
+    
+    const slug = sessionDocument.metadata.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const blob = new Blob([JSON.stringify(sessionDocument, null, 2) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = `${slug || 'binaural-session'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Load a session from a JSON file chosen by the user
+async function importSession(file) {
+    if (!file) return;
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (e) {
+        console.error('Error reading session file:', e);
+        alert('Could not read the session file. Please choose a JSON file exported from this page.');
+        return;
+    }
+    
+    const result = readSessionDocument(parsed);
+    if (result.error) {
+        alert(result.error);
+        return;
+    }
+    
+    applySessionState(result.session);
+    sessionNameInput.value = result.metadata.name;
+    sessionAuthorInput.value = result.metadata.author;
+    sessionNotesInput.value = result.metadata.notes;
+}
+
+// ====== SHARE LINKS ======
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+// Encode bytes as URL-safe base64 without padding
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode URL-safe base64, throwing if it isn't valid
+function base64UrlToBytes(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('Invalid characters in share link');
+    }
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Pack a session into a share link payload: "z" + deflated JSON, or "j" + plain JSON where compression isn't available
+async function encodeSharePayload(session) {
+    const bytes = new TextEncoder().encode(JSON.stringify(session));
+    
+    if (typeof CompressionStream === 'undefined') {
+        return 'j' + bytesToBase64Url(bytes);
+    }
+    return 'z' + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+// Unpack a share link payload into a session object, throwing if it can't be read
+async function decodeSharePayload(payload) {
+    let bytes = base64UrlToBytes(payload.slice(1));
+    
+    if (payload[0] === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser can\'t decompress share links');
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (payload[0] !== 'j') {
+        throw new Error('Unknown share link encoding');
+    }
+    
+    return JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+}
+
+// Build a link to this page that opens the current session
+async function createShareLink() {
+    const payload = await encodeSharePayload(getSessionState());
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_HASH_KEY}=${payload}`;
+    return url.toString();
+}
+
+// Copy a share link for the current session to the clipboard
+async function copyShareLink() {
+    if (reportInstructionErrors()) return;
+    
+    let link;
+    try {
+        link = await createShareLink();
+    } catch (e) {
+        console.error('Error creating share link:', e);
+        alert('Could not create a share link in this browser.');
+        return;
+    }
+    
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('Share link copied to the clipboard.');
+    } catch (e) {
+        // Clipboard access can be blocked, so let the user copy it by hand
+        prompt('Copy this share link:', link);
+    }
+}
+
+// Load a session from the URL hash, if there is one
+// The whole payload is decoded and checked before anything on the page changes
+async function loadSessionFromHash() {
+    const hash = window.location.hash.replace(/^#/, '');
+    const prefix = `${SHARE_HASH_KEY}=`;
+    if (!hash.startsWith(prefix)) return;
+    
+    let result;
+    try {
+        result = readSessionDocument(await decodeSharePayload(hash.slice(prefix.length)));
+    } catch (e) {
+        console.error('Error reading share link:', e);
+        result = { error: 'The share link is damaged or incomplete.' };
+    }
+    
+    if (result.error) {
+        alert(`Could not open the shared session. ${result.error}`);
+        return;
+    }
+    
+    applySessionState(result.session);
+}
+
+// ====== BACKGROUND NOISE ======
+
+// Create a noise generator whose random and filter state carries over from one block to the next,
+// so consecutive blocks join seamlessly and the noise never repeats
+function createNoiseGenerator(type, seed) {
+    return {
+        type: type,
+        seed: (seed >>> 0) || 1, // xorshift state must never be zero
+        pink: [0, 0, 0, 0, 0, 0, 0],
+        brown: 0
+    };
+}
+
+// Fill a Float32Array with the generator's next block of noise (roughly -1 to 1)
+function fillNoise(generator, output) {
+    const pink = generator.pink;
+    let seed = generator.seed;
+    
+    for (let i = 0; i < output.length; i++) {
+        // xorshift32 white noise
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        const white = (seed >>> 0) / 2147483648 - 1;
+        
+        if (generator.type === 'pink') {
+            // Paul Kellet's refined pink noise filter
+            pink[0] = 0.99886 * pink[0] + white * 0.0555179;
+            pink[1] = 0.99332 * pink[1] + white * 0.0750759;
+            pink[2] = 0.96900 * pink[2] + white * 0.1538520;
+            pink[3] = 0.86650 * pink[3] + white * 0.3104856;
+            pink[4] = 0.55000 * pink[4] + white * 0.5329522;
+            pink[5] = -0.7616 * pink[5] - white * 0.0168980;
+            output[i] = (pink[0] + pink[1] + pink[2] + pink[3] + pink[4] + pink[5] + pink[6] + white * 0.5362) * 0.11;
+            pink[6] = white * 0.115926;
+        } else if (generator.type === 'brown') {
+            // Leaky integration of white noise
+            generator.brown = (generator.brown + 0.02 * white) / 1.02;
+            output[i] = generator.brown * 3.5;
+        } else {
+            output[i] = white;
+        }
+    }
+    
+    generator.seed = seed;
+}
+
+// Pick a random starting seed for a noise generator
+function randomNoiseSeed() {
+    return Math.floor(Math.random() * 0xffffffff) + 1;
+}
+
+// Gain for the noise level slider (0-100%)
+function getNoiseGain() {
+    return (parseFloat(noiseLevelInput.value) || 0) / 100 * NOISE_MAX_GAIN;
+}
+
+// Create an AudioBufferSourceNode playing the generator's next block of noise
+function createNoiseBlock(ctx, generator, frames) {
+    const buffer = ctx.createBuffer(1, frames, ctx.sampleRate);
+    fillNoise(generator, buffer.getChannelData(0));
+    
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    return source;
+}
+
+// Start the live noise bed, queueing fresh blocks back to back a little ahead of the audio clock
+// Each block ending queues more, so the noise follows the audio clock like the segments do
+function startNoise() {
+    stopNoise();
+    if (noiseTypeSelect.value === 'none') return;
+    
+    noisePlayback = {
+        generator: createNoiseGenerator(noiseTypeSelect.value, randomNoiseSeed()),
+        nextStartTime: audioContext.currentTime,
+        sources: new Set()
+    };
+    
+    scheduleNoiseBlocks();
+}
+
+// Queue noise blocks until the lookahead is full
+function scheduleNoiseBlocks() {
+    if (!noisePlayback) return;
+    
+    const playback = noisePlayback;
+    const blockFrames = NOISE_BLOCK_SECONDS * audioContext.sampleRate;
+    
+    // If the queue ran dry, carry on from now rather than starting overdue blocks on top of each other
+    playback.nextStartTime = Math.max(playback.nextStartTime, audioContext.currentTime);
+    
+    while (playback.nextStartTime < audioContext.currentTime + NOISE_LOOKAHEAD_SECONDS) {
+        const source = createNoiseBlock(audioContext, playback.generator, blockFrames);
+        const sources = playback.sources;
+        
+        source.connect(noiseGainNode);
+        source.onended = () => {
+            sources.delete(source);
+            // Blocks stopped along with their noise bed queue nothing
+            if (noisePlayback === playback) {
+                scheduleNoiseBlocks();
+            }
+        };
+        source.start(playback.nextStartTime);
+        
+        sources.add(source);
+        playback.nextStartTime += NOISE_BLOCK_SECONDS;
+    }
+}
+
+// Stop the live noise bed
+function stopNoise() {
+    if (!noisePlayback) return;
+    
+    noisePlayback.sources.forEach(source => {
+        try {
+            source.stop();
+            source.disconnect();
+        } catch (e) {
+            console.log('Error stopping noise:', e);
+        }
+    });
+    noisePlayback = null;
+}
+
+// Apply a change to the noise controls during playback
+function handleNoiseChange() {
+    if (noiseGainNode) {
+        noiseGainNode.gain.setTargetAtTime(getNoiseGain(), audioContext.currentTime, 0.05);
+    }
+    
+    // A new noise colour takes effect straight away rather than after the queued blocks
+    if (isPlaying || isPaused) {
+        const type = noiseTypeSelect.value;
+        if (!noisePlayback || noisePlayback.generator.type !== type) {
+            startNoise();
+        }
+    }
+}
+
+// ====== BACKGROUND TRACK ======
+
+// Gain for the track level slider (0-100%)
+function getTrackGain() {
+    return (parseFloat(trackLevelInput.value) || 0) / 100 * TRACK_MAX_GAIN;
+}
+
+// How far the track ducks under the beats, from the duck slider (0 to 1, where 1 silences it)
+function getTrackDuck() {
+    return (parseFloat(trackDuckInput.value) || 0) / 100;
+}
+
+// Build a copy of a track whose tail is crossfaded into its head, so it loops without a seam
+function createLoopableBuffer(ctx, buffer) {
+    const fadeFrames = Math.min(
+        Math.floor(TRACK_LOOP_CROSSFADE_SECONDS * buffer.sampleRate),
+        Math.floor(buffer.length / 4)
+    );
+    const loopFrames = buffer.length - fadeFrames;
+    const loopBuffer = ctx.createBuffer(buffer.numberOfChannels, loopFrames, buffer.sampleRate);
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const source = buffer.getChannelData(channel);
+        const output = loopBuffer.getChannelData(channel);
+        output.set(source.subarray(0, loopFrames));
+        
+        // Equal-power crossfade from the tail (which follows the end of the loop) into the head
+        for (let i = 0; i < fadeFrames; i++) {
+            const angle = (i / fadeFrames) * Math.PI / 2;
+            output[i] = source[i] * Math.sin(angle) + source[loopFrames + i] * Math.cos(angle);
+        }
+    }
+    
+    return loopBuffer;
+}
+
+// Decode a user-selected audio file and make it the background track
+async function loadBackgroundTrack(file) {
+    if (!file) return;
     
-    // Calculate new elapsed time
-    elapsedTime = (audioContext.currentTime - startTime) * 1000;
+    initAudio();
+    trackStatusDisplay.textContent = `Loading ${file.name}...`;
     
-    // Update progress bar
-    const progress = Math.min(elapsedTime / totalDuration * 100, 100);
-    progressBar.style.width = `${progress}%`;
+    try {
+        const encoded = await file.arrayBuffer();
+        const decoded = await audioContext.decodeAudioData(encoded);
+        
+        backgroundTrack = {
+            name: file.name,
+            buffer: createLoopableBuffer(audioContext, decoded)
+        };
+        trackStatusDisplay.textContent = `${file.name} (${formatTime(decoded.duration * 1000)})`;
+        trackRemoveButton.hidden = false;
+        
+        // Swap the new track in straight away if a session is running
+        if (isPlaying || isPaused) {
+            startTrack();
+        }
+    } catch (error) {
+        console.error('Error loading background track:', error);
+        trackStatusDisplay.textContent = `Couldn't read ${file.name}. Try an MP3, OGG or WAV file.`;
+    }
+}
+
+// Remove the background track
+function removeBackgroundTrack() {
+    stopTrack();
+    backgroundTrack = null;
+    trackFileInput.value = '';
+    trackStatusDisplay.textContent = 'No track loaded';
+    trackRemoveButton.hidden = true;
+}
+
+// Start looping the background track in step with the session's elapsed time
+function startTrack() {
+    stopTrack();
+    if (!backgroundTrack) return;
     
-    // Update time display
-    const remainingTime = Math.max(0, totalDuration - elapsedTime);
-    timeRemainingDisplay.textContent = `Time: ${formatTime(remainingTime)}`;
+    trackSource = audioContext.createBufferSource();
+    trackSource.buffer = backgroundTrack.buffer;
+    trackSource.loop = true;
+    trackSource.connect(trackDuckNode);
+    trackSource.start(audioContext.currentTime, (elapsedTime / 1000) % backgroundTrack.buffer.duration);
+}
+
+// Stop the background track
+function stopTrack() {
+    if (!trackSource) return;
     
-    // Check if we need to move to a new segment
-    checkSegmentTransition();
+    try {
+        trackSource.stop();
+        trackSource.disconnect();
+    } catch (e) {
+        console.log('Error stopping background track:', e);
+    }
+    trackSource = null;
+}
+
+// Apply a change to the track level during playback
+function handleTrackLevelChange() {
+    if (trackGainNode) {
+        trackGainNode.gain.setTargetAtTime(getTrackGain(), audioContext.currentTime, 0.05);
+    }
+}
+
+// Apply a change to the duck amount during playback
+function handleTrackDuckChange() {
+    if (trackDuckAmountNode) {
+        trackDuckAmountNode.gain.setTargetAtTime(-getTrackDuck(), audioContext.currentTime, 0.05);
+    }
+}
+
+// ====== EXPORT RENDERER ======
+
+// One cycle of a waveform built from harmonic amplitudes (fundamental first), scaled to peak at 1 as a PeriodicWave
+// is. The extra point at the end lets lookups interpolate across the wrap
+function createWavetable(harmonics) {
+    const table = new Float32Array(WAVETABLE_SIZE + 1);
+    let peak = 0;
     
-    // Update frequency within current segment
-    updateCurrentSegmentFrequency();
+    for (let i = 0; i <= WAVETABLE_SIZE; i++) {
+        const angle = 2 * Math.PI * i / WAVETABLE_SIZE;
+        let value = 0;
+        harmonics.forEach((amplitude, n) => {
+            value += amplitude * Math.sin((n + 1) * angle);
+        });
+        table[i] = value;
+        peak = Math.max(peak, Math.abs(value));
+    }
     
-    // If we've reached the end, stop playing
-    if (elapsedTime >= totalDuration) {
-        stopPlaying();
+    for (let i = 0; i <= WAVETABLE_SIZE; i++) {
+        table[i] /= peak;
     }
+    return table;
 }
 
-// Toggle play/pause
-function togglePlayPause() {
-    if (isPlaying) {
-        pausePlaying();
+// Synthesise a program in plain JavaScript for export, one chunk after another
+// Follows the same segments, glides, transitions and fades as live playback, computed straight from the segment
+// list. Oscillator phases and the noise carry on from each chunk into the next, so chunks join seamlessly, and the
+// same program always renders to the same samples
+// program holds { segments, transition, sampleRate, noise, track }: noise is { type, seed, gain } and track is
+// { channels, sampleRate, gain, duck } with the loop's channel data; either may be null
+function createProgramRenderer(program) {
+    const segments = program.segments;
+    const transition = program.transition;
+    const sampleRate = program.sampleRate;
+    const noiseGenerator = program.noise ? createNoiseGenerator(program.noise.type, program.noise.seed) : null;
+    
+    const wavetables = {};
+    const getWavetable = (key, harmonics) => wavetables[key] || (wavetables[key] = createWavetable(harmonics));
+    
+    let frame = 0;
+    // Block being rendered (frames), which may run on into the next chunk
+    let blockStart = 0;
+    let blockEnd = 0;
+    let nextSegmentIndex = 0;
+    let nextSegmentStart = 0; // seconds
+    let voices = [];
+    let lastVoice = null;
+    
+    // Oscillators for a segment's layers, levelled as createOscillatorPair levels them
+    const createVoice = (segment) => {
+        const layers = getSegmentLayers(segment);
+        const totalLevel = layers.reduce((total, layer) => total + layer.level, 0);
+        const levelScale = 1 / Math.max(1, totalLevel);
+        
+        return {
+            layers: layers.map(layer => {
+                const carrierTable = getWavetable(`waveform:${layer.waveform}`, getWaveformHarmonics(layer.waveform));
+                return {
+                    mode: layer.mode,
+                    level: layer.level * levelScale,
+                    // Wavetables and phases (in cycles) of the layer's two oscillators, in the order of getLayerFrequencyFunctions
+                    tables: layer.mode === 'isochronic'
+                        ? [carrierTable, getWavetable(`pulse:${layer.pulseShape}`, getPulseHarmonics(layer.pulseShape))]
+                        : [carrierTable, carrierTable],
+                    phases: [0, 0]
+                };
+            }),
+            plan: null,
+            stopFrame: Infinity
+        };
+    };
+    
+    // Start the next segment, on the previous segment's oscillators when they play on into it
+    const startNextSegment = () => {
+        const index = nextSegmentIndex;
+        const segment = segments[index];
+        const start = nextSegmentStart;
+        const end = start + segment.duration / 1000;
+        const { join, nextJoin, fadeIn, fadeOut } = getSegmentFades(segments, index, transition, start, end);
+        
+        if (join !== 'continue' || !voices.includes(lastVoice)) {
+            lastVoice = createVoice(segment);
+            voices.push(lastVoice);
+        }
+        
+        lastVoice.plan = {
+            start: start,
+            length: end - start,
+            frequencies: getSegmentFrequencyFunctions(segment, join === 'continue' ? getSegmentOscillatorFrequencies(segments[index - 1], 1) : null),
+            fades: [fadeIn, fadeOut].filter(fade => fade),
+            initialLevel: join === 'continue' ? 1 : 0
+        };
+        const stopTime = fadeOut ? Math.max(end, fadeOut.end) : end;
+        lastVoice.stopFrame = nextJoin === 'continue' ? Infinity : Math.round(stopTime * sampleRate);
+        
+        nextSegmentIndex++;
+        nextSegmentStart = end;
+    };
+    
+    // Add a voice's output for frames from up to to, within the current block, into channels starting at chunkStart
+    // Frequencies and fades are worked out at each end of the block and interpolated in between, so where
+    // chunks begin and end makes no difference to the samples
+    // The beats' fade envelopes are summed into envelope, if given, for ducking the background track
+    const renderVoice = (voice, from, to, left, right, envelope, chunkStart) => {
+        const plan = voice.plan;
+        const frames = blockEnd - blockStart;
+        const startTime = blockStart / sampleRate;
+        const endTime = blockEnd / sampleRate;
+        const startProgress = (startTime - plan.start) / plan.length;
+        const endProgress = (endTime - plan.start) / plan.length;
+        const startFade = getFadesLevel(plan.fades, plan.initialLevel, startTime);
+        const endFade = getFadesLevel(plan.fades, plan.initialLevel, endTime);
+        const startLevel = startFade * EXPORT_MASTER_GAIN;
+        const endLevel = endFade * EXPORT_MASTER_GAIN;
+        
+        if (envelope) {
+            for (let k = from - blockStart; k < to - blockStart; k++) {
+                envelope[blockStart + k - chunkStart] += startFade + (endFade - startFade) * k / frames;
+            }
+        }
+        
+        voice.layers.forEach((layer, i) => {
+            const [tableA, tableB] = layer.tables;
+            const [frequencyA, frequencyB] = plan.frequencies[i];
+            const startStepA = frequencyA(startProgress) / sampleRate;
+            const endStepA = frequencyA(endProgress) / sampleRate;
+            const startStepB = frequencyB(startProgress) / sampleRate;
+            const endStepB = frequencyB(endProgress) / sampleRate;
+            const isochronic = layer.mode === 'isochronic';
+            const monaural = layer.mode === 'monaural';
+            let phaseA = layer.phases[0];
+            let phaseB = layer.phases[1];
+            
+            for (let k = from - blockStart; k < to - blockStart; k++) {
+                const x = k / frames;
+                const output = blockStart + k - chunkStart;
+                const level = (startLevel + (endLevel - startLevel) * x) * layer.level;
+                
+                const positionA = phaseA * WAVETABLE_SIZE;
+                const indexA = positionA | 0;
+                const a = tableA[indexA] + (tableA[indexA + 1] - tableA[indexA]) * (positionA - indexA);
+                const positionB = phaseB * WAVETABLE_SIZE;
+                const indexB = positionB | 0;
+                const b = tableB[indexB] + (tableB[indexB + 1] - tableB[indexB]) * (positionB - indexB);
+                
+                if (isochronic) {
+                    // The pulse swings the carrier's gain between 0 and 1
+                    const sample = a * (0.5 + 0.5 * b) * level;
+                    left[output] += sample;
+                    right[output] += sample;
+                } else if (monaural) {
+                    const sample = (a + b) * level / 2;
+                    left[output] += sample;
+                    right[output] += sample;
+                } else {
+                    left[output] += a * level;
+                    right[output] += b * level;
+                }
+                
+                // Frequencies stay well below the sample rate, so a phase never moves a whole cycle in one step
+                // (a beat wider than twice the carrier leaves the left tone's frequency negative, running backwards)
+                phaseA += startStepA + (endStepA - startStepA) * x;
+                if (phaseA >= 1) phaseA -= 1;
+                else if (phaseA < 0) phaseA += 1;
+                phaseB += startStepB + (endStepB - startStepB) * x;
+                if (phaseB >= 1) phaseB -= 1;
+                else if (phaseB < 0) phaseB += 1;
+            }
+            
+            layer.phases = [phaseA, phaseB];
+        });
+    };
+    
+    // Mix the noise bed and the looped background track into a chunk starting at chunkStart (frames)
+    // The track ducks under the beats as live playback's does, following their envelope held to 0-1
+    const renderBackground = (chunkStart, left, right, envelope) => {
+        const frameCount = left.length;
+        
+        if (noiseGenerator) {
+            const noise = new Float32Array(frameCount);
+            fillNoise(noiseGenerator, noise);
+            for (let i = 0; i < frameCount; i++) {
+                left[i] += noise[i] * program.noise.gain;
+                right[i] += noise[i] * program.noise.gain;
+            }
+        }
+        
+        const track = program.track;
+        if (track) {
+            const trackLeft = track.channels[0];
+            const trackRight = track.channels[1] || track.channels[0];
+            const trackLength = trackLeft.length;
+            const step = track.sampleRate / sampleRate;
+            
+            for (let i = 0; i < frameCount; i++) {
+                const position = ((chunkStart + i) * step) % trackLength;
+                const index = Math.floor(position);
+                const next = (index + 1) % trackLength;
+                const fraction = position - index;
+                const gain = envelope ? track.gain * (1 - track.duck * Math.min(1, envelope[i])) : track.gain;
+                left[i] += (trackLeft[index] + (trackLeft[next] - trackLeft[index]) * fraction) * gain;
+                right[i] += (trackRight[index] + (trackRight[next] - trackRight[index]) * fraction) * gain;
+            }
+        }
+    };
+    
+    return {
+        // Render the next frameCount frames as [left, right], reporting progress (0-100) along the way
+        render: (frameCount, progressCallback) => {
+            const left = new Float32Array(frameCount);
+            const right = new Float32Array(frameCount);
+            const envelope = program.track && program.track.duck > 0 ? new Float32Array(frameCount) : null;
+            const chunkStart = frame;
+            const chunkEnd = frame + frameCount;
+            const progressFrames = RENDER_PROGRESS_SECONDS * sampleRate;
+            let nextProgressFrame = frame + progressFrames;
+            
+            while (frame < chunkEnd) {
+                if (frame === blockEnd) {
+                    while (nextSegmentIndex < segments.length && Math.round(nextSegmentStart * sampleRate) <= frame) {
+                        startNextSegment();
+                    }
+                    voices = voices.filter(voice => voice.stopFrame > frame);
+                    
+                    // Blocks end early at segment changes and stops so they land on the exact frame
+                    blockStart = frame;
+                    blockEnd = frame + RENDER_BLOCK_FRAMES;
+                    if (nextSegmentIndex < segments.length) {
+                        blockEnd = Math.min(blockEnd, Math.round(nextSegmentStart * sampleRate));
+                    }
+                    voices.forEach(voice => {
+                        blockEnd = Math.min(blockEnd, voice.stopFrame);
+                    });
+                }
+                
+                const end = Math.min(blockEnd, chunkEnd);
+                voices.forEach(voice => renderVoice(voice, frame, end, left, right, envelope, chunkStart));
+                frame = end;
+                
+                if (progressCallback && frame >= nextProgressFrame) {
+                    progressCallback((frame - chunkStart) / frameCount * 100);
+                    nextProgressFrame += progressFrames;
+                }
+            }
+            
+            renderBackground(chunkStart, left, right, envelope);
+            return [left, right];
+        }
+    };
+}
+
+// Body of the export render worker
+// { type: 'start', program } sets up a renderer; each { type: 'render', frameCount } is answered with
+// { type: 'progress', progress } messages and then { type: 'chunk', channels }
+function runRenderWorker() {
+    let renderer = null;
+    
+    self.onmessage = (event) => {
+        const message = event.data;
+        try {
+            if (message.type === 'start') {
+                renderer = createProgramRenderer(message.program);
+            } else if (message.type === 'render') {
+                const channels = renderer.render(message.frameCount, (progress) => {
+                    self.postMessage({ type: 'progress', progress: progress });
+                });
+                self.postMessage({ type: 'chunk', channels: channels }, channels.map(channel => channel.buffer));
+            }
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
+
+// Source of the render worker, built from this file's own functions so the worker and page share one engine
+function getRenderWorkerSource() {
+    const constants = {
+        WAVEFORMS, PULSE_HARMONICS, TRIANGLE_HARMONICS, CROSSFADE_DURATION, FADE_OVERLAP, PLAYBACK_FADE_DURATION,
+        TRANSITION_GLIDE_DURATION, WAVETABLE_SIZE, RENDER_BLOCK_FRAMES, RENDER_PROGRESS_SECONDS, EXPORT_MASTER_GAIN
+    };
+    const functions = [
+        normalizedSigmoid, getSegmentFrequency, getSegmentCarrier, getSegmentLayers, getLayerFrequencyFunctions,
+        getSegmentOscillatorFrequencies, getSegmentFrequencyFunctions, canContinueSegment, getSegmentJoin,
+        getCrossfadeLength, getSegmentFades, getFadeLevel, getFadesLevel, createNoiseGenerator, fillNoise,
+        getPulseHarmonics, getWaveformHarmonics, createWavetable, createProgramRenderer, runRenderWorker
+    ];
+    
+    return Object.keys(constants).map(name => `const ${name} = ${JSON.stringify(constants[name])};`)
+        .concat(functions.map(fn => fn.toString()), ['runRenderWorker();'])
+        .join('\n');
+}
+
+// Set up an export renderer for a program: { render(frameCount, progressCallback), close() }, where render
+// resolves to the chunk's [left, right] channels
+// Rendering runs in a worker so the page stays responsive, or on the page if workers aren't available
+function createExportRenderer(program) {
+    let worker = null;
+    let workerUrl = null;
+    
+    try {
+        workerUrl = URL.createObjectURL(new Blob([getRenderWorkerSource()], { type: 'text/javascript' }));
+        worker = new Worker(workerUrl);
+    } catch (e) {
+        console.log('Rendering on the page, as the render worker could not start:', e);
+        if (workerUrl) URL.revokeObjectURL(workerUrl);
+        
+        const renderer = createProgramRenderer(program);
+        return {
+            render: async (frameCount, progressCallback) => renderer.render(frameCount, progressCallback),
+            close: () => {}
+        };
+    }
+    
+    let pending = null;
+    const fail = (error) => {
+        if (!pending) return;
+        pending.reject(error);
+        pending = null;
+    };
+    
+    worker.onmessage = (event) => {
+        const message = event.data;
+        if (!pending) return;
+        
+        if (message.type === 'progress') {
+            if (pending.progressCallback) pending.progressCallback(message.progress);
+        } else if (message.type === 'chunk') {
+            pending.resolve(message.channels);
+            pending = null;
+        } else if (message.type === 'error') {
+            fail(new Error(message.message));
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        fail(new Error(event.message || 'The render worker failed'));
+    };
+    
+    worker.postMessage({ type: 'start', program: program });
+    
+    return {
+        render: (frameCount, progressCallback) => new Promise((resolve, reject) => {
+            pending = { resolve, reject, progressCallback };
+            worker.postMessage({ type: 'render', frameCount: frameCount });
+        }),
+        close: () => {
+            worker.terminate();
+            URL.revokeObjectURL(workerUrl);
+        }
+    };
+}
+
+// ====== COMPRESSED EXPORT ======
+
+// Load the MP3 encoder script, resolving to its lamejs global
+function loadLameEncoder() {
+    if (!lameLoading) {
+        lameLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = LAME_SCRIPT_URL;
+            script.onload = () => resolve(window.lamejs);
+            script.onerror = () => {
+                // Let the next export try again
+                lameLoading = null;
+                document.head.removeChild(script);
+                reject(new Error('Could not load the MP3 encoder'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return lameLoading;
+}
+
+// Convert part of a channel to the 16-bit samples the MP3 encoder takes
+function floatToInt16(samples, start, end) {
+    const converted = new Int16Array(end - start);
+    for (let i = start; i < end; i++) {
+        converted[i - start] = Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767);
+    }
+    return converted;
+}
+
+// Export encoder writing a constant-bitrate MP3
+// lamejs codes the two channels as plain stereo rather than joint (mid/side) stereo, so the small
+// difference in frequency between the ears comes through intact
+// Encoding runs on the page, so it stops every few seconds of audio to let the page update
+async function createMp3ExportEncoder(options) {
+    const lamejs = await loadLameEncoder();
+    const encoder = new lamejs.Mp3Encoder(2, options.sampleRate, options.bitrate);
+    const sliceFrames = MP3_ENCODE_SLICE_SECONDS * options.sampleRate;
+    
+    return {
+        begin: () => new ArrayBuffer(0),
+        encode: async (channelData) => {
+            const frameCount = channelData[0].length;
+            const pieces = [];
+            
+            for (let start = 0; start < frameCount; start += sliceFrames) {
+                const end = Math.min(start + sliceFrames, frameCount);
+                pieces.push(encoder.encodeBuffer(floatToInt16(channelData[0], start, end), floatToInt16(channelData[1], start, end)));
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+            
+            return new Blob(pieces);
+        },
+        end: async () => encoder.flush(),
+        close: () => {}
+    };
+}
+
+// Table for the Ogg page checksum (CRC-32 with polynomial 0x04C11DB7, most significant bit first)
+let oggCrcTable = null;
+function getOggCrcTable() {
+    if (!oggCrcTable) {
+        oggCrcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let crc = i << 24;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+            }
+            oggCrcTable[i] = crc >>> 0;
+        }
+    }
+    return oggCrcTable;
+}
+
+// Build an Ogg page holding whole packets, ending at granule position granule
+// headerType flags the first (2) and last (4) pages of the stream
+function createOggPage(packets, granule, serial, sequence, headerType) {
+    const lacing = [];
+    for (const packet of packets) {
+        // Each packet is split into 255-byte segments, ending with a shorter (possibly empty) one
+        for (let remaining = packet.length; ; remaining -= 255) {
+            lacing.push(Math.min(remaining, 255));
+            if (remaining < 255) break;
+        }
+    }
+    
+    const headerLength = 27 + lacing.length;
+    const bodyLength = packets.reduce((total, packet) => total + packet.length, 0);
+    const page = new Uint8Array(headerLength + bodyLength);
+    const view = new DataView(page.buffer);
+    
+    writeString(view, 0, 'OggS');
+    view.setUint8(4, 0); // Version
+    view.setUint8(5, headerType);
+    writeUint64(view, 6, granule);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+    
+    let offset = headerLength;
+    for (const packet of packets) {
+        page.set(packet, offset);
+        offset += packet.length;
+    }
+    
+    // The checksum covers the whole page with its own field as zero
+    const table = getOggCrcTable();
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc = ((crc << 8) ^ table[((crc >>> 24) ^ page[i]) & 0xFF]) >>> 0;
+    }
+    view.setUint32(22, crc, true);
+    
+    return page;
+}
+
+// Split an Ogg page into its packets
+// pieces holds the start of a packet left unfinished by the page before, and is left holding any this page
+// leaves unfinished
+function readOggPackets(page, pieces) {
+    const segmentCount = page[26];
+    const packets = [];
+    let offset = 27 + segmentCount;
+    
+    for (let i = 0; i < segmentCount; i++) {
+        const length = page[27 + i];
+        pieces.push(page.subarray(offset, offset + length));
+        offset += length;
+        
+        // A segment shorter than 255 bytes ends its packet
+        if (length < 255) {
+            const packet = new Uint8Array(pieces.reduce((total, piece) => total + piece.length, 0));
+            let packetOffset = 0;
+            for (const piece of pieces) {
+                packet.set(piece, packetOffset);
+                packetOffset += piece.length;
+            }
+            packets.push(packet);
+            pieces.length = 0;
+        }
+    }
+    
+    return packets;
+}
+
+// Read a frame length from an Opus packet: one byte, or two when the first is 252 or more
+function readOpusLength(packet, offset) {
+    if (packet[offset] < 252) {
+        return { length: packet[offset], size: 1 };
+    }
+    return { length: packet[offset] + packet[offset + 1] * 4, size: 2 };
+}
+
+// Encode a frame length the way readOpusLength reads it
+function encodeOpusLength(length) {
+    if (length < 252) {
+        return [length];
+    }
+    const first = 252 + (length & 3);
+    return [first, (length - first) >> 2];
+}
+
+// Rewrite an Opus packet in self-delimiting framing (RFC 6716, appendix B), which adds the length of its
+// last frame so that another stream's packet can follow it within one multistream packet
+function toSelfDelimitedOpusPacket(packet) {
+    const frameCode = packet[0] & 3;
+    let headerLength = 1;
+    let lastFrameLength;
+    let paddingLength = 0;
+    
+    if (frameCode === 0) {
+        lastFrameLength = packet.length - 1;
+    } else if (frameCode === 1) {
+        // Two frames of the same length
+        lastFrameLength = (packet.length - 1) / 2;
+    } else if (frameCode === 2) {
+        // Two frames, the first one's length given
+        const first = readOpusLength(packet, 1);
+        headerLength += first.size;
+        lastFrameLength = packet.length - headerLength - first.length;
     } else {
-        if (isPaused) {
-            resumePlaying();
+        // Any number of frames, possibly padded, with every length but the last given if they vary
+        const frameCount = packet[1] & 0x3F;
+        const isVariable = (packet[1] & 0x80) !== 0;
+        headerLength = 2;
+        if (packet[1] & 0x40) {
+            let paddingByte;
+            do {
+                paddingByte = packet[headerLength++];
+                paddingLength += paddingByte === 255 ? 254 : paddingByte;
+            } while (paddingByte === 255);
+        }
+        
+        if (isVariable) {
+            let framesLength = 0;
+            for (let i = 0; i < frameCount - 1; i++) {
+                const frame = readOpusLength(packet, headerLength);
+                headerLength += frame.size;
+                framesLength += frame.length;
+            }
+            lastFrameLength = packet.length - headerLength - paddingLength - framesLength;
         } else {
-            startPlaying();
+            lastFrameLength = (packet.length - headerLength - paddingLength) / frameCount;
+        }
+    }
+    
+    const lengthBytes = encodeOpusLength(lastFrameLength);
+    const delimited = new Uint8Array(packet.length + lengthBytes.length);
+    delimited.set(packet.subarray(0, headerLength), 0);
+    delimited.set(lengthBytes, headerLength);
+    delimited.set(packet.subarray(headerLength), headerLength + lengthBytes.length);
+    return delimited;
+}
+
+// Build the two Ogg Opus header packets for a stereo file of two uncoupled mono streams
+function createOpusHeaders(preSkip) {
+    const head = new Uint8Array(23);
+    const headView = new DataView(head.buffer);
+    writeString(headView, 0, 'OpusHead');
+    headView.setUint8(8, 1); // Version
+    headView.setUint8(9, 2); // Channels
+    headView.setUint16(10, preSkip, true);
+    headView.setUint32(12, OPUS_SAMPLE_RATE, true);
+    headView.setInt16(16, 0, true); // Output gain
+    headView.setUint8(18, 1); // Channel mapping family 1: channels taken from the streams as listed below
+    headView.setUint8(19, 2); // Streams
+    headView.setUint8(20, 0); // Coupled (stereo) streams
+    headView.setUint8(21, 0); // Left from the first stream
+    headView.setUint8(22, 1); // Right from the second
+    
+    const vendor = 'Binaural Beats Generator';
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    writeString(tagsView, 0, 'OpusTags');
+    tagsView.setUint32(8, vendor.length, true);
+    writeString(tagsView, 12, vendor);
+    tagsView.setUint32(12 + vendor.length, 0, true); // No comments
+    
+    return [head, tags];
+}
+
+// Opus encoders for the two ears using the browser's own encoder (WebCodecs), adding their packets to stream
+// Resolves to null when the browser has no encoder that takes these settings
+async function createWebCodecsOpusEncoders(options, stream) {
+    const config = {
+        codec: 'opus',
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfChannels: 1,
+        bitrate: options.bitrate * 1000 / 2,
+        opus: { frameDuration: OPUS_FRAME_DURATION, complexity: 10, signal: 'music' }
+    };
+    if (!window.AudioEncoder || !(await AudioEncoder.isConfigSupported(config)).supported) {
+        return null;
+    }
+    
+    const encoders = [0, 1].map((channel) => {
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                stream.pending[channel].push({ data: data, duration: Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1000000) });
+                
+                // The decoder config is an OpusHead, holding the encoder's actual pre-skip
+                const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (channel === 0 && description && description.byteLength >= 12) {
+                    const bytes = ArrayBuffer.isView(description)
+                        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+                        : new Uint8Array(description);
+                    stream.preSkip = bytes[10] + bytes[11] * 256;
+                }
+            },
+            error: (error) => {
+                stream.error = error;
+            }
+        });
+        encoder.configure(config);
+        return encoder;
+    });
+    
+    // Wait until both encoders have taken all the audio given to them
+    const waitForEncoders = () => new Promise((resolve) => {
+        const check = () => {
+            if (encoders.every((encoder) => encoder.encodeQueueSize === 0)) {
+                resolve();
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+    
+    return {
+        encode: async (channelData, startFrame) => {
+            const frameCount = channelData[0].length;
+            
+            // Hand the audio over a second at a time, so packets come out while the rest is encoded
+            for (let start = 0; start < frameCount; start += OPUS_SAMPLE_RATE) {
+                const end = Math.min(start + OPUS_SAMPLE_RATE, frameCount);
+                encoders.forEach((encoder, channel) => {
+                    const audioData = new AudioData({
+                        format: 'f32-planar',
+                        sampleRate: OPUS_SAMPLE_RATE,
+                        numberOfFrames: end - start,
+                        numberOfChannels: 1,
+                        timestamp: Math.round((startFrame + start) * 1000000 / OPUS_SAMPLE_RATE),
+                        data: channelData[channel].subarray(start, end)
+                    });
+                    encoder.encode(audioData);
+                    audioData.close();
+                });
+                await waitForEncoders();
+            }
+        },
+        finish: () => Promise.all(encoders.map((encoder) => encoder.flush())),
+        close: () => {
+            encoders.forEach((encoder) => {
+                if (encoder.state !== 'closed') encoder.close();
+            });
+        }
+    };
+}
+
+// Opus encoders for the two ears using the bundled libopus, each in its own worker, adding their packets to stream
+// The worker hands back Ogg pages of a mono stream, which are split into packets again for muxing
+async function createLibopusEncoders(options, stream) {
+    const packetDuration = OPUS_FRAME_DURATION * OPUS_SAMPLE_RATE / 1000000;
+    stream.preSkip = LIBOPUS_PRE_SKIP;
+    
+    const ears = [0, 1].map((channel) => {
+        const worker = new Worker(OPUS_WORKER_URL);
+        // Start of a packet continued on the worker's next page, and the reply awaited: { message, resolve }
+        const pieces = [];
+        let waiting = null;
+        
+        worker.onmessage = (event) => {
+            const data = event.data;
+            if (data.page) {
+                for (const packet of readOggPackets(data.page, pieces)) {
+                    stream.pending[channel].push({ data: packet, duration: packetDuration });
+                }
+            } else if (waiting && data.message === waiting.message) {
+                waiting.resolve();
+                waiting = null;
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            stream.error = new Error(event.message || 'The Opus encoder failed');
+            if (waiting) {
+                waiting.resolve();
+                waiting = null;
+            }
+        };
+        
+        return {
+            worker: worker,
+            // Send the worker a command, resolving once it replies with the given message
+            request: (command, reply) => new Promise((resolve) => {
+                waiting = { message: reply, resolve: resolve };
+                worker.postMessage(command);
+            })
+        };
+    });
+    
+    // Send both workers a command, made for each ear by createCommand, and wait for both replies
+    const requestBoth = async (createCommand, reply) => {
+        await Promise.all(ears.map((ear, channel) => ear.request(createCommand(channel), reply)));
+        if (stream.error) throw stream.error;
+    };
+    const close = () => ears.forEach((ear) => ear.worker.terminate());
+    
+    try {
+        await requestBoth(() => ({
+            command: 'init',
+            numberOfChannels: 1,
+            originalSampleRate: OPUS_SAMPLE_RATE,
+            encoderSampleRate: OPUS_SAMPLE_RATE,
+            encoderApplication: 2049, // Full-band audio
+            encoderBitRate: options.bitrate * 1000 / 2,
+            encoderComplexity: 10,
+            encoderFrameSize: OPUS_FRAME_DURATION / 1000
+        }), 'ready');
+    } catch (error) {
+        close();
+        throw error;
+    }
+    
+    return {
+        // Flushing after the audio makes the workers hand back every packet of it
+        encode: (channelData) => {
+            ears.forEach((ear, channel) => ear.worker.postMessage({ command: 'encode', buffers: [channelData[channel]] }));
+            return requestBoth(() => ({ command: 'flush' }), 'flushed');
+        },
+        // Silence as long as the encoder's delay brings out the end of the audio, and more up to a whole frame,
+        // as the workers would pad the last frame out to the length of the first chunk
+        finish: (framesEncoded) => {
+            const remainder = (framesEncoded + LIBOPUS_PRE_SKIP) % packetDuration;
+            const silence = new Float32Array(LIBOPUS_PRE_SKIP + (remainder > 0 ? packetDuration - remainder : 0));
+            ears.forEach((ear) => ear.worker.postMessage({ command: 'encode', buffers: [silence] }));
+            return requestBoth(() => ({ command: 'done' }), 'done');
+        },
+        close: close
+    };
+}
+
+// Export encoder writing Ogg Opus, with the browser's own Opus encoder when it has one, as that is faster,
+// or else the bundled libopus
+// Each ear is encoded as its own mono stream and the two are muxed into one multistream file, so
+// stereo coding can't blur the small difference in frequency between the ears
+async function createOpusExportEncoder(options) {
+    // Encoded packets of each ear waiting to be muxed, { data, duration } with duration in samples, the
+    // encoder's pre-skip and any error it has reported
+    const stream = { pending: [[], []], preSkip: OPUS_DEFAULT_PRE_SKIP, error: null };
+    const encoders = await createWebCodecsOpusEncoders(options, stream) || await createLibopusEncoders(options, stream);
+    const pending = stream.pending;
+    
+    const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+    let pageSequence = 0;
+    let granule = 0;
+    let framesEncoded = 0;
+    let headersWritten = false;
+    
+    // Mux the packets both ears have ready into Ogg pages
+    // The last page's granule position stops at the end of the audio, so players drop the padding after it
+    const takePages = (isLast) => {
+        if (stream.error) throw stream.error;
+        
+        // The headers wait for the first packet, which comes with the encoder's pre-skip
+        const pages = [];
+        if (!headersWritten && (pending[0].length > 0 || isLast)) {
+            const headers = createOpusHeaders(stream.preSkip);
+            pages.push(createOggPage([headers[0]], 0, serial, pageSequence++, 2));
+            pages.push(createOggPage([headers[1]], 0, serial, pageSequence++, 0));
+            headersWritten = true;
+        }
+        
+        const pairCount = Math.min(pending[0].length, pending[1].length);
+        let pagePackets = [];
+        let pageSegments = 0;
+        for (let i = 0; i < pairCount; i++) {
+            const left = toSelfDelimitedOpusPacket(pending[0][i].data);
+            const right = pending[1][i].data;
+            const packet = new Uint8Array(left.length + right.length);
+            packet.set(left, 0);
+            packet.set(right, left.length);
+            
+            // A page holds at most 255 lacing segments
+            const packetSegments = Math.floor(packet.length / 255) + 1;
+            if (pageSegments + packetSegments > 255) {
+                pages.push(createOggPage(pagePackets, granule, serial, pageSequence++, 0));
+                pagePackets = [];
+                pageSegments = 0;
+            }
+            pagePackets.push(packet);
+            pageSegments += packetSegments;
+            granule += pending[0][i].duration;
+            
+            if (pagePackets.length === OGG_PACKETS_PER_PAGE && !(isLast && i === pairCount - 1)) {
+                pages.push(createOggPage(pagePackets, granule, serial, pageSequence++, 0));
+                pagePackets = [];
+                pageSegments = 0;
+            }
         }
+        pending[0].splice(0, pairCount);
+        pending[1].splice(0, pairCount);
+        
+        if (isLast) {
+            pages.push(createOggPage(pagePackets, Math.min(granule, stream.preSkip + framesEncoded), serial, pageSequence++, 4));
+        } else if (pagePackets.length > 0) {
+            pages.push(createOggPage(pagePackets, granule, serial, pageSequence++, 0));
+        }
+        
+        return new Blob(pages);
+    };
+    
+    return {
+        begin: () => new ArrayBuffer(0),
+        encode: async (channelData) => {
+            await encoders.encode(channelData, framesEncoded);
+            framesEncoded += channelData[0].length;
+            
+            return takePages(false);
+        },
+        end: async () => {
+            await encoders.finish(framesEncoded);
+            return takePages(true);
+        },
+        close: () => encoders.close()
+    };
+}
+
+// ====== AUDIO DOWNLOAD FUNCTIONALITY ======
+
+// Length of a WAV file's header, everything before the sample data, in one of the containers:
+// 'riff' (ordinary WAV), 'rf64' (EBU Tech 3306, adding a ds64 chunk of 64-bit sizes) or 'w64' (Sony Wave64)
+// Float files carry the longer format chunk and the 'fact' chunk the WAV spec asks of formats other than PCM
+function getWavHeaderLength(bitDepth, container) {
+    const isFloat = EXPORT_BIT_DEPTHS[bitDepth].formatTag === 3;
+    if (container === 'w64') {
+        return isFloat ? 144 : 104;
     }
+    const riffLength = isFloat ? 58 : 44;
+    return container === 'rf64' ? riffLength + 36 : riffLength;
 }
 
-// Pause playback
-function pausePlaying() {
-    if (!isPlaying) return;
+// Build the header of a WAV file holding dataLength bytes of samples at one of the EXPORT_BIT_DEPTHS,
+// in one of the containers from getWavHeaderLength
+function createWavHeader(dataLength, numOfChannels, sampleRate, bitDepth, container) {
+    if (container === 'w64') {
+        return createWave64Header(dataLength, numOfChannels, sampleRate, bitDepth);
+    }
     
-    pauseTime = audioContext.currentTime;
-    audioContext.suspend();
-    playButton.textContent = 'Play';
-    isPlaying = false;
-    isPaused = true;
-    clearInterval(updateInterval);
+    const format = EXPORT_BIT_DEPTHS[bitDepth].formatTag;
+    const frameCount = dataLength / (numOfChannels * EXPORT_BIT_DEPTHS[bitDepth].bytesPerSample);
+    const headerLength = getWavHeaderLength(bitDepth, container);
+    const buffer = new ArrayBuffer(headerLength);
+    const view = new DataView(buffer);
     
-    // Update media session state
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.playbackState = 'paused';
+    // Write WAV header
+    let offset = 12;
+    if (container === 'rf64') {
+        // The 32-bit sizes are all 0xFFFFFFFF, and the real ones go in the ds64 chunk
+        writeString(view, 0, 'RF64');
+        view.setUint32(4, 0xFFFFFFFF, true);
+        writeString(view, 8, 'WAVE');
+        writeString(view, 12, 'ds64');
+        view.setUint32(16, 28, true);
+        writeUint64(view, 20, headerLength - 8 + dataLength); // RIFF size
+        writeUint64(view, 28, dataLength);
+        writeUint64(view, 36, frameCount);
+        view.setUint32(44, 0, true); // No table of other chunk sizes
+        offset = 48;
+    } else {
+        writeString(view, 0, 'RIFF');
+        view.setUint32(4, headerLength - 8 + dataLength, true); // Everything after this field
+        writeString(view, 8, 'WAVE');
     }
+    
+    writeString(view, offset, 'fmt ');
+    view.setUint32(offset + 4, format === 1 ? 16 : 18, true); // PCM format requires 16 bytes, others add a 2-byte extension size
+    offset = writeWavFormat(view, offset + 8, numOfChannels, sampleRate, bitDepth);
+    
+    if (format !== 1) {
+        // Write fact subchunk: the number of sample frames
+        writeString(view, offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, container === 'rf64' ? 0xFFFFFFFF : frameCount, true);
+        offset += 12;
+    }
+    
+    // Write data subchunk
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, container === 'rf64' ? 0xFFFFFFFF : dataLength, true);
+    
+    return buffer;
 }
 
-// Resume playback
-function resumePlaying() {
-    if (isPlaying || !isPaused) return;
+// Build the header of a Sony Wave64 file: WAV's chunks with GUIDs for IDs, 64-bit sizes that count
+// the chunk's own 24-byte header, and every chunk padded to a multiple of 8 bytes
+// Exports are whole seconds of stereo at even sample rates, so the sample data never needs padding
+function createWave64Header(dataLength, numOfChannels, sampleRate, bitDepth) {
+    const format = EXPORT_BIT_DEPTHS[bitDepth].formatTag;
+    const headerLength = getWavHeaderLength(bitDepth, 'w64');
+    const buffer = new ArrayBuffer(headerLength);
+    const view = new DataView(buffer);
     
-    audioContext.resume();
-    playButton.textContent = 'Pause';
-    isPlaying = true;
+    writeGuid(view, 0, WAVE64_GUIDS.riff);
+    writeUint64(view, 16, headerLength + dataLength);
+    writeGuid(view, 24, WAVE64_GUIDS.wave);
     
-    // Adjust start time to account for pause
-    startTime = audioContext.currentTime - (elapsedTime / 1000);
+    writeGuid(view, 40, WAVE64_GUIDS.fmt);
+    writeUint64(view, 56, format === 1 ? 40 : 42);
+    let offset = writeWavFormat(view, 64, numOfChannels, sampleRate, bitDepth);
     
-    // Restart update interval
-    updateInterval = setInterval(updateBeatProgress, 100);
+    if (format !== 1) {
+        // Skip the format chunk's padding, then write the number of sample frames
+        offset = 88;
+        writeGuid(view, offset, WAVE64_GUIDS.fact);
+        writeUint64(view, offset + 16, 32);
+        writeUint64(view, offset + 24, dataLength / (numOfChannels * EXPORT_BIT_DEPTHS[bitDepth].bytesPerSample));
+        offset += 32;
+    }
     
-    // Update media session state
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.playbackState = 'playing';
+    writeGuid(view, offset, WAVE64_GUIDS.data);
+    writeUint64(view, offset + 16, 24 + dataLength);
+    
+    return buffer;
+}
+
+// Write the fields of a WAV format chunk at offset, returning the offset after them
+function writeWavFormat(view, offset, numOfChannels, sampleRate, bitDepth) {
+    const format = EXPORT_BIT_DEPTHS[bitDepth].formatTag;
+    const bytesPerSample = EXPORT_BIT_DEPTHS[bitDepth].bytesPerSample;
+    
+    view.setUint16(offset, format, true);
+    view.setUint16(offset + 2, numOfChannels, true);
+    view.setUint32(offset + 4, sampleRate, true);
+    view.setUint32(offset + 8, sampleRate * numOfChannels * bytesPerSample, true); // Byte rate
+    view.setUint16(offset + 12, numOfChannels * bytesPerSample, true); // Block align
+    view.setUint16(offset + 14, bytesPerSample * 8, true); // Bits per sample
+    
+    if (format === 1) {
+        return offset + 16;
     }
+    view.setUint16(offset + 16, 0, true); // No extension
+    return offset + 18;
 }
 
-// Clean up oscillators safely
-function cleanupOscillators() {
-    const currentTime = audioContext ? audioContext.currentTime : 0;
+// Encoder turning channels of samples into the interleaved sample data of a WAV file at one of the EXPORT_BIT_DEPTHS
+// 16-bit output gets TPDF dither (two uniform random values summed, up to 1 LSB either way) so quiet passages
+// don't pick up quantization distortion; the random sequence carries on from one chunk to the next
+function createSampleEncoder(bitDepth) {
+    const bytesPerSample = EXPORT_BIT_DEPTHS[bitDepth].bytesPerSample;
+    let ditherState = DITHER_SEED;
     
-    // Function to safely stop and disconnect an oscillator pair
-    const safeCleanup = (oscPair) => {
-        if (!oscPair || !oscPair.started) return;
-        
-        try {
-            // First set gains to zero to prevent pops
-            oscPair.leftGain.gain.setValueAtTime(0, currentTime);
-            oscPair.rightGain.gain.setValueAtTime(0, currentTime);
-            
-            // Schedule stop slightly after gain change
-            oscPair.left.stop(currentTime + 0.01);
-            oscPair.right.stop(currentTime + 0.01);
+    // Uniform random value from -0.5 to 0.5 (xorshift32)
+    const random = () => {
+        ditherState ^= ditherState << 13;
+        ditherState ^= ditherState >>> 17;
+        ditherState ^= ditherState << 5;
+        return (ditherState >>> 0) / 4294967296 - 0.5;
+    };
+    
+    return {
+        encode: (channelData) => {
+            const numOfChannels = channelData.length;
+            const frameCount = channelData[0].length;
+            const buffer = new ArrayBuffer(frameCount * numOfChannels * bytesPerSample);
+            const view = new DataView(buffer);
+            let position = 0;
             
-            // Disconnect everything
-            setTimeout(() => {
-                try {
-                    oscPair.left.disconnect();
-                    oscPair.right.disconnect();
-                    oscPair.leftGain.disconnect();
-                    oscPair.rightGain.disconnect();
-                    oscPair.merger.disconnect();
-                } catch (e) {
-                    console.log('Error disconnecting:', e);
+            for (let i = 0; i < frameCount; i++) {
+                for (let channel = 0; channel < numOfChannels; channel++) {
+                    const sample = channelData[channel][i];
+                    
+                    if (bitDepth === '32f') {
+                        // Float keeps the full level range, so nothing needs clamping
+                        view.setFloat32(position, sample, true);
+                    } else if (bitDepth === '24') {
+                        const value = Math.round(Math.max(-1, Math.min(1, sample)) * 8388607);
+                        view.setUint8(position, value & 0xFF);
+                        view.setInt16(position + 1, value >> 8, true);
+                    } else {
+                        const value = Math.round(sample * 32767 + random() + random());
+                        view.setInt16(position, Math.max(-32768, Math.min(32767, value)), true);
+                    }
+                    position += bytesPerSample;
                 }
-            }, 50);
-        } catch (e) {
-            console.log('Error stopping oscillators:', e);
+            }
+            
+            return buffer;
         }
     };
-    
-    // Clean up active and next oscillators
-    safeCleanup(activeOscillators);
-    safeCleanup(nextOscillators);
-    
-    activeOscillators = null;
-    nextOscillators = null;
 }
 
-// Stop playback
-function stopPlaying() {
-    cleanupOscillators();
-    
-    playButton.textContent = 'Play';
-    isPlaying = false;
-    isPaused = false;
-    isInCrossfade = false;
-    pendingSegmentChange = false;
-    elapsedTime = 0;
-    currentSegmentIndex = 0;
-    
-    clearInterval(updateInterval);
-    
-    // Reset displays
-    currentBeatDisplay.textContent = 'Current: Not playing';
-    timeRemainingDisplay.textContent = 'Time: --:--:--';
-    currentFrequencyDisplay.textContent = 'Current Binaural Beat: 0.0 Hz';
-    progressBar.style.width = '0%';
+// Export encoder writing a WAV file in the chosen bit depth and container, a header followed by the samples
+function createWavExportEncoder(options, layout) {
+    const sampleEncoder = createSampleEncoder(options.bitDepth);
     
-    // Update media session state
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.playbackState = 'none';
+    return {
+        // Every chunk is a whole number of seconds, so the file's size is known before any audio is rendered
+        begin: (fileDuration) => createWavHeader(fileDuration * layout.bytesPerSecond, 2, options.sampleRate, options.bitDepth, layout.container),
+        encode: async (channelData) => sampleEncoder.encode(channelData),
+        end: async () => new ArrayBuffer(0),
+        close: () => {}
+    };
+}
+
+// Set up the export encoder for the chosen format
+// Each one takes the rendered chunks in order and returns the file's bytes as they become ready: begin(fileDuration)
+// starts a file, encode(channelData) takes a chunk, end() finishes the file and close() frees the encoder
+function createExportEncoder(options, layout) {
+    if (options.format === 'mp3') {
+        return createMp3ExportEncoder(options);
     }
+    if (options.format === 'opus') {
+        return createOpusExportEncoder(options);
+    }
+    return createWavExportEncoder(options, layout);
 }
 
-// Handle restart button
-function handleRestart() {
-    // First completely stop and clean up
-    if (isPlaying || isPaused) {
-        stopPlaying();
-        
-        // Small delay to ensure clean state before starting again
-        setTimeout(() => {
-            startPlaying();
-        }, 200);
-    } else {
-        startPlaying();
+// Helper to write a string into a DataView
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
     }
 }
 
-// ====== AUDIO DOWNLOAD FUNCTIONALITY ======
+// Helper to write a 64-bit size into a DataView, as two 32-bit halves
+function writeUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+// Helper to write a Wave64 GUID into a DataView
+function writeGuid(view, offset, guid) {
+    for (let i = 0; i < guid.length; i++) {
+        view.setUint8(offset + i, guid[i]);
+    }
+}
 
-// Convert a AudioBuffer to a WAV format array buffer
-function audioBufferToWav(audioBuffer) {
-    // Get audio data
-    const numOfChannels = audioBuffer.numberOfChannels;
-    const sampleRate = audioBuffer.sampleRate;
-    const format = 1; // PCM format (linear quantization)
-    const bitDepth = 16; // 16-bit depth
+// Ask where to save an export when the browser can write files straight to disk (File System Access API)
+// Returns a function opening a file handle by name, or null to build the files as Blobs instead
+// Must run before anything else is awaited, while the download click still counts as a user gesture
+async function chooseExportDestination(fileCount, filename, fileType) {
+    if (fileCount === 1 && window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: fileType.description, accept: { [fileType.mimeType]: [fileType.extension] } }]
+        });
+        return () => handle;
+    }
     
-    // Get channel data
-    const channelData = [];
-    for(let channel = 0; channel < numOfChannels; channel++) {
-        channelData.push(audioBuffer.getChannelData(channel));
+    // Several parts go into a folder, so there's only one prompt
+    if (fileCount > 1 && window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return (name) => directory.getFileHandle(name, { create: true });
     }
     
-    // Calculate required sizes
-    const dataLength = channelData[0].length * numOfChannels * (bitDepth / 8);
-    const buffer = new ArrayBuffer(44 + dataLength); // 44 bytes for the header
-    const view = new DataView(buffer);
+    return null;
+}
+
+// Writer appending an export's pieces to a file on disk as they're rendered
+async function createFileExportWriter(fileHandle) {
+    const writable = await fileHandle.createWritable();
     
-    // Write WAV header
-    writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + dataLength, true); // 36 + subchunk2Size
-    writeString(view, 8, 'WAVE');
-    writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true); // PCM format requires 16 bytes
-    view.setUint16(20, format, true);
-    view.setUint16(22, numOfChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * numOfChannels * (bitDepth / 8), true); // Byte rate
-    view.setUint16(32, numOfChannels * (bitDepth / 8), true); // Block align
-    view.setUint16(34, bitDepth, true);
+    return {
+        write: (data) => writable.write(data),
+        // Nothing to download afterwards: the file is already saved
+        close: async () => {
+            await writable.close();
+            return null;
+        },
+        abort: () => writable.abort()
+    };
+}
+
+// Writer collecting an export's pieces into a Blob
+// Each piece becomes its own Blob straight away, which browsers can keep on disk, so
+// only the piece being written has to fit in memory
+function createBlobExportWriter(type) {
+    let parts = [];
     
-    // Write data subchunk
-    writeString(view, 36, 'data');
-    view.setUint32(40, dataLength, true);
-    
-    // Write audio data (interleaved)
-    const offset = 44;
-    
-    // Converting Float32Array (range -1.0 to 1.0) to 16-bit PCM (range -32768 to 32767)
-    if (numOfChannels === 2) {
-        // Optimized path for stereo (most common case)
-        const left = channelData[0];
-        const right = channelData[1];
-        
-        for (let i = 0; i < left.length; i++) {
-            // Convert float to int16
-            const leftSample = Math.max(-1, Math.min(1, left[i]));
-            const rightSample = Math.max(-1, Math.min(1, right[i]));
-            
-            // Apply slight limiter to avoid clipping
-            const leftLimited = leftSample * 0.98;
-            const rightLimited = rightSample * 0.98;
-            
-            // Convert to 16-bit and write
-            view.setInt16(offset + (i * 4), leftLimited * 32767, true);
-            view.setInt16(offset + (i * 4) + 2, rightLimited * 32767, true);
-        }
-    } else {
-        // Generic path for any number of channels (mono, surround, etc.)
-        let position = 0;
-        for (let i = 0; i < channelData[0].length; i++) {
-            for (let channel = 0; channel < numOfChannels; channel++) {
-                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
-                // Apply slight limiter to avoid clipping
-                const limited = sample * 0.98;
-                view.setInt16(offset + position, limited * 32767, true);
-                position += 2;
-            }
+    return {
+        write: (data) => {
+            parts.push(new Blob([data]));
+        },
+        close: async () => new Blob(parts, { type: type }),
+        abort: () => {
+            parts = [];
         }
+    };
+}
+
+// The format, sample rate, bit depth or bitrate, and container for sessions too big for one WAV file chosen in the export dialog
+// Opus always runs at 48 kHz, and MP3 goes no higher than 48 kHz
+function getExportOptions() {
+    const format = ['wav', 'mp3', 'opus'].includes(exportFormatSelect.value) ? exportFormatSelect.value : 'wav';
+    const bitrate = parseInt(exportBitrateSelect.value, 10);
+    let sampleRate = parseInt(exportSampleRateSelect.value, 10);
+    if (!EXPORT_SAMPLE_RATES.includes(sampleRate)) {
+        sampleRate = EXPORT_SAMPLE_RATES[0];
+    }
+    if (format === 'opus' || (format === 'mp3' && sampleRate > 48000)) {
+        sampleRate = OPUS_SAMPLE_RATE;
     }
     
-    return buffer;
+    return {
+        format: format,
+        sampleRate: sampleRate,
+        bitDepth: EXPORT_BIT_DEPTHS[exportBitDepthSelect.value] ? exportBitDepthSelect.value : '16',
+        bitrate: EXPORT_BITRATES.includes(bitrate) ? bitrate : EXPORT_BITRATES[1],
+        largeFileContainer: ['riff', 'rf64', 'w64'].includes(exportLargeFileSelect.value) ? exportLargeFileSelect.value : 'riff'
+    };
 }
 
-// Helper to write a string into a DataView
-function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
+// Enable the export options that apply to the chosen format
+function updateExportFormatControls() {
+    const format = exportFormatSelect.value;
+    exportSampleRateSelect.disabled = format === 'opus';
+    exportBitDepthSelect.disabled = format !== 'wav';
+    exportBitrateSelect.disabled = format === 'wav';
+    exportLargeFileSelect.disabled = format !== 'wav';
+    updateExportEstimate();
+}
+
+// How an export of sessionLengthSeconds is laid out in the chosen format: the bytes per second of stereo audio,
+// the container from getWavHeaderLength, the file type and the most whole seconds one file holds
+// WAV files store their sizes in 32 bits, so longer sessions are split into parts of up to 4GB unless the
+// dialog asks for one RF64 or Wave64 file; shorter sessions are always ordinary WAV files
+// Compressed exports are always one file
+function getExportLayout(options, sessionLengthSeconds) {
+    if (options.format !== 'wav') {
+        return {
+            bytesPerSecond: options.bitrate * 1000 / 8,
+            container: null,
+            fileType: EXPORT_FILE_TYPES[options.format],
+            maxFileSeconds: Math.max(sessionLengthSeconds, 1)
+        };
     }
+    
+    const bytesPerSecond = options.sampleRate * 2 * EXPORT_BIT_DEPTHS[options.bitDepth].bytesPerSample;
+    const maxRiffSeconds = Math.floor((0xFFFFFFFF - (getWavHeaderLength(options.bitDepth, 'riff') - 8)) / bytesPerSecond);
+    const container = sessionLengthSeconds > maxRiffSeconds ? options.largeFileContainer : 'riff';
+    
+    return {
+        bytesPerSecond: bytesPerSecond,
+        container: container,
+        fileType: container === 'w64' ? EXPORT_FILE_TYPES.w64 : EXPORT_FILE_TYPES.wav,
+        maxFileSeconds: container === 'riff' ? maxRiffSeconds : sessionLengthSeconds
+    };
 }
 
-// Generate and download WAV file containing the binaural beats session
-// Replace the generateAndDownloadAudio function with this chunked approach
+// Show the size of the export in the format chosen in the export dialog
+function updateExportEstimate() {
+    const sessionSegments = parseInstructions(instructionsTextarea.value, getSessionSettings());
+    const sessionLengthSeconds = Math.ceil(calculateTotalDuration(sessionSegments) / 1000);
+    const layout = getExportLayout(getExportOptions(), sessionLengthSeconds);
+    const sizeEstimateMB = (sessionLengthSeconds * layout.bytesPerSecond / 1024 / 1024).toFixed(1);
+    const fileCount = Math.ceil(sessionLengthSeconds / layout.maxFileSeconds);
+    
+    if (fileCount > 1) {
+        exportEstimateDisplay.textContent = `About ${sizeEstimateMB}MB, split into ${fileCount} files.`;
+    } else if (layout.container === 'rf64') {
+        exportEstimateDisplay.textContent = `About ${sizeEstimateMB}MB, in one RF64 file.`;
+    } else if (layout.container === 'w64') {
+        exportEstimateDisplay.textContent = `About ${sizeEstimateMB}MB, in one Wave64 file.`;
+    } else {
+        exportEstimateDisplay.textContent = `About ${sizeEstimateMB}MB.`;
+    }
+}
 
-// Generate and download WAV file containing the binaural beats session using chunked rendering
-// Replace the generateAndDownloadAudio function with this chunked approach
+// Open the export dialog, once there are valid instructions to export
+function openExportDialog() {
+    if (reportInstructionErrors()) return;
+    
+    if (parseInstructions(instructionsTextarea.value, getSessionSettings()).length === 0) {
+        alert('Please enter valid instructions first.');
+        return;
+    }
+    
+    updateExportFormatControls();
+    exportDialog.showModal();
+}
 
-// Generate and download WAV file containing the binaural beats session using chunked rendering
-async function generateAndDownloadAudio() {
+// Generate and download an audio file containing the binaural beats session, in the format from getExportOptions
+// Chunks are rendered one at a time and written out as soon as they're encoded, so memory use stays at
+// about one chunk however long the session is
+async function generateAndDownloadAudio(options) {
+    if (reportInstructionErrors()) return;
+    
     // Check if valid instructions exist
-    const parsedSegments = parseInstructions(instructionsTextarea.value);
+    const parsedSegments = parseInstructions(instructionsTextarea.value, getSessionSettings());
     if (parsedSegments.length === 0) {
         alert('Please enter valid instructions first.');
         return;
@@ -730,37 +4804,67 @@ async function generateAndDownloadAudio() {
     const sessionDuration = calculateTotalDuration(sessionSegments);
     const sessionLengthSeconds = Math.ceil(sessionDuration / 1000);
     
-    // Get base tone frequency
-    const baseTone = parseFloat(baseToneInput.value) || 432;
+    const sampleRate = options.sampleRate;
+    const layout = getExportLayout(options, sessionLengthSeconds);
+    const bytesPerSecond = layout.bytesPerSecond;
     
     // Calculate total size estimate for user feedback
-    const totalSizeEstimateMB = (sessionLengthSeconds * 44100 * 4 / 1024 / 1024).toFixed(1); // 4 bytes per sample (16-bit stereo)
+    const totalSizeEstimateMB = (sessionLengthSeconds * bytesPerSecond / 1024 / 1024).toFixed(1);
     
     // Update status with size info
     downloadStatusDisplay.textContent = `Preparing ${totalSizeEstimateMB}MB audio file...`;
     
+    // Everything the renderer needs, rendered through every chunk and part in order so the audio is continuous
+    const program = {
+        segments: sessionSegments,
+        transition: transitionSelect.value,
+        sampleRate: sampleRate,
+        noise: noiseTypeSelect.value === 'none' ? null : {
+            type: noiseTypeSelect.value,
+            seed: EXPORT_NOISE_SEED,
+            gain: getNoiseGain()
+        },
+        track: !backgroundTrack ? null : {
+            channels: Array.from({ length: backgroundTrack.buffer.numberOfChannels }, (_, channel) => backgroundTrack.buffer.getChannelData(channel)),
+            sampleRate: backgroundTrack.buffer.sampleRate,
+            gain: getTrackGain(),
+            duck: getTrackDuck()
+        }
+    };
+    
+    // Define chunk size (5 minutes per render chunk); only one chunk is held in memory at a time
+    const CHUNK_SIZE_SECONDS = 5 * 60;
+    
+    // Longest part one file can hold
+    const MAX_OUTPUT_SECONDS = layout.maxFileSeconds;
+    
+    // Calculate how many output files we'll need
+    const outputFileCount = Math.ceil(sessionLengthSeconds / MAX_OUTPUT_SECONDS);
+    
+    // Generate timestamp for filenames
+    const now = new Date();
+    const timestamp = `${now.getFullYear()}${(now.getMonth()+1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}_${now.getHours().toString().padStart(2, '0')}${now.getMinutes().toString().padStart(2, '0')}`;
+    const getFilename = (fileIndex) => {
+        const partLabel = outputFileCount > 1 ? `_part${fileIndex + 1}` : '';
+        return `binaural_beats_${timestamp}${partLabel}${layout.fileType.extension}`;
+    };
+    
+    let writer = null;
+    let exportRenderer = null;
+    let exportEncoder = null;
+    
     try {
+        const openExportFile = await chooseExportDestination(outputFileCount, getFilename(0), layout.fileType);
+        
         // Set up progress tracking
-        let overallProgress = 0;
         progressBar.style.width = '0%';
         
-        // Define chunk size (30 minutes per render chunk)
-        const CHUNK_SIZE_SECONDS = 30 * 60; // 30 minutes per chunk
-        
-        // Define output file size limit (~1GB to be safely under 2GB limit)
-        const MAX_OUTPUT_SAMPLES = 120000000; // About 1GB for stereo 16-bit WAV
-        const MAX_OUTPUT_SECONDS = Math.floor(MAX_OUTPUT_SAMPLES / 44100);
-        
-        // Calculate how many output files we'll need
-        const outputFileCount = Math.ceil(sessionLengthSeconds / MAX_OUTPUT_SECONDS);
-        
-        // Generate timestamp for filenames
-        const now = new Date();
-        const timestamp = `${now.getFullYear()}${(now.getMonth()+1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}_${now.getHours().toString().padStart(2, '0')}${now.getMinutes().toString().padStart(2, '0')}`;
+        exportRenderer = createExportRenderer(program);
+        exportEncoder = await createExportEncoder(options, layout);
         
         // Create wrapper div for download links if multiple files
         let downloadContainer = null;
-        if (outputFileCount > 1) {
+        if (outputFileCount > 1 && !openExportFile) {
             downloadContainer = document.createElement('div');
             downloadContainer.id = 'download-links';
             downloadContainer.style.cssText = 'position: fixed; top: 20px; right: 20px; background: white; padding: 15px; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.2); max-width: 300px; z-index: 1000;';
@@ -785,13 +4889,16 @@ async function generateAndDownloadAudio() {
             const fileStartTime = fileIndex * MAX_OUTPUT_SECONDS;
             const fileEndTime = Math.min((fileIndex + 1) * MAX_OUTPUT_SECONDS, sessionLengthSeconds);
             const fileDuration = fileEndTime - fileStartTime;
+            const filename = getFilename(fileIndex);
             
             // Update status
             downloadStatusDisplay.textContent = `Processing file ${fileIndex + 1}/${outputFileCount}...`;
             downloadButton.innerHTML = `<span class="spinner"></span> File ${fileIndex + 1}/${outputFileCount}`;
             
-            // Create a list to track rendered chunks for this file
-            const fileChunks = [];
+            writer = openExportFile
+                ? await createFileExportWriter(await openExportFile(filename))
+                : createBlobExportWriter(layout.fileType.mimeType);
+            await writer.write(exportEncoder.begin(fileDuration));
             
             // Split file time range into smaller processing chunks
             const fileChunkCount = Math.ceil(fileDuration / CHUNK_SIZE_SECONDS);
@@ -807,11 +4914,8 @@ async function generateAndDownloadAudio() {
                 downloadButton.innerHTML = `<span class="spinner"></span> Processing...`;
                 
                 // Render this chunk
-                const chunkBuffer = await renderAudioChunk(
-                    sessionSegments, 
-                    chunkStartTime, 
-                    chunkDuration, 
-                    baseTone,
+                const chunkChannels = await exportRenderer.render(
+                    chunkDuration * sampleRate,
                     (progress) => {
                         // Calculate overall progress across all files and chunks
                         const singleChunkWeight = 1 / (outputFileCount * fileChunkCount);
@@ -821,11 +4925,11 @@ async function generateAndDownloadAudio() {
                     }
                 );
                 
-                // Store the chunk
-                fileChunks.push(chunkBuffer);
+                // Encode and write out the chunk now, so it can be freed before the next one is rendered
+                await writer.write(await exportEncoder.encode(chunkChannels));
                 
                 // Update progress
-                const overallProgress = ((fileIndex * fileChunkCount + chunkIndex + 1) / (outputFileCount * fileChunkCount)) * 90;
+                const overallProgress = ((fileIndex * fileChunkCount + chunkIndex + 1) / (outputFileCount * fileChunkCount)) * 100;
                 progressBar.style.width = `${overallProgress}%`;
             }
             
@@ -833,18 +4937,12 @@ async function generateAndDownloadAudio() {
             downloadStatusDisplay.textContent = `Creating file ${fileIndex + 1}/${outputFileCount}...`;
             downloadButton.innerHTML = '<span class="spinner"></span> Finalizing...';
             
-            // Combine the chunks for this file
-            const fileBuffer = combineAudioChunks(fileChunks);
-            
-            // Convert to WAV
-            const wavBuffer = audioBufferToWav(fileBuffer);
+            await writer.write(await exportEncoder.end());
+            const blob = await writer.close();
+            writer = null;
             
-            // Create a blob and trigger download
-            const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-            
-            // Generate filename
-            const partLabel = outputFileCount > 1 ? `_part${fileIndex + 1}` : '';
-            const filename = `binaural_beats_${timestamp}${partLabel}.wav`;
+            // Files written straight to disk are already saved
+            if (!blob) continue;
             
             // Create download link
             const url = URL.createObjectURL(blob);
@@ -872,9 +4970,6 @@ async function generateAndDownloadAudio() {
                 linkWrapper.appendChild(a);
                 downloadContainer.appendChild(linkWrapper);
             }
-            
-            // Update progress
-            progressBar.style.width = `${90 + (fileIndex + 1) / outputFileCount * 10}%`;
         }
         
         // Update status and reset progress bar
@@ -884,7 +4979,9 @@ async function generateAndDownloadAudio() {
         }, 1000);
         
         // Show completion message
-        if (outputFileCount === 1) {
+        if (openExportFile) {
+            downloadStatusDisplay.textContent = outputFileCount === 1 ? 'File saved!' : `Saved ${outputFileCount} files.`;
+        } else if (outputFileCount === 1) {
             downloadStatusDisplay.textContent = 'Download complete!';
         } else {
             downloadStatusDisplay.textContent = `Generated ${outputFileCount} files. Please download all parts.`;
@@ -899,9 +4996,29 @@ async function generateAndDownloadAudio() {
             }, 5000);
         }
     } catch (error) {
-        console.error('Error creating audio file:', error);
-        downloadStatusDisplay.textContent = `Error: ${error.message}. Try smaller duration.`;
+        if (writer) {
+            try {
+                await writer.abort();
+            } catch (e) {
+                console.log('Error discarding partial file:', e);
+            }
+        }
+        
+        if (error.name === 'AbortError') {
+            // The user closed the save dialog
+            downloadStatusDisplay.textContent = '';
+        } else {
+            console.error('Error creating audio file:', error);
+            downloadStatusDisplay.textContent = `Error: ${error.message}. Try smaller duration.`;
+        }
     } finally {
+        if (exportRenderer) {
+            exportRenderer.close();
+        }
+        if (exportEncoder) {
+            exportEncoder.close();
+        }
+        
         // Reset button state
         downloadButton.disabled = false;
         downloadButton.innerHTML = 'Download';
@@ -909,204 +5026,99 @@ async function generateAndDownloadAudio() {
     }
 }
 
-// Function to render a specific chunk of audio for a specific time range
-async function renderAudioChunk(segments, startTimeSeconds, durationSeconds, baseTone, progressCallback) {
-    // Create offline context for just this chunk
-    const sampleRate = 44100;
-    const offlineCtx = new OfflineAudioContext(2, sampleRate * durationSeconds, sampleRate);
+// Add this immediately after the last function (after the closing brace of generateAndDownloadAudio)
+// This will set up the event listeners when the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Connect play button to togglePlayPause function
+    playButton.addEventListener('click', togglePlayPause);
     
-    // Create master gain node for the offline context
-    const masterGain = offlineCtx.createGain();
-    masterGain.gain.value = 0.2; // 20% volume
-    masterGain.connect(offlineCtx.destination);
+    // Connect restart button to handleRestart function
+    restartButton.addEventListener('click', handleRestart);
     
-    // Figure out which segments overlap with this chunk
-    let currentSegmentStartTime = 0; // in seconds
-    let overlappingSegments = [];
+    // Connect download button to the export dialog, which starts generateAndDownloadAudio
+    downloadButton.addEventListener('click', openExportDialog);
+    exportSampleRateSelect.addEventListener('change', updateExportEstimate);
+    exportBitDepthSelect.addEventListener('change', updateExportEstimate);
+    exportLargeFileSelect.addEventListener('change', updateExportEstimate);
+    exportFormatSelect.addEventListener('change', updateExportFormatControls);
+    exportBitrateSelect.addEventListener('change', updateExportEstimate);
+    exportConfirmButton.addEventListener('click', () => generateAndDownloadAudio(getExportOptions()));
     
-    for (let i = 0; i < segments.length; i++) {
-        const segmentDurationSec = segments[i].duration / 1000;
-        const segmentEndTime = currentSegmentStartTime + segmentDurationSec;
-        
-        // Check if this segment overlaps with our chunk
-        if (segmentEndTime > startTimeSeconds && currentSegmentStartTime < startTimeSeconds + durationSeconds) {
-            overlappingSegments.push({
-                segment: segments[i],
-                startTime: currentSegmentStartTime,
-                endTime: segmentEndTime
-            });
-        }
-        
-        // Move to next segment
-        currentSegmentStartTime = segmentEndTime;
-    }
+    // Validate instructions as the user types
+    instructionsTextarea.addEventListener('input', updateInstructionDiagnostics);
+    baseToneInput.addEventListener('input', updateInstructionDiagnostics);
+    modeSelect.addEventListener('change', updateInstructionDiagnostics);
     
-    // Process each overlapping segment
-    for (let i = 0; i < overlappingSegments.length; i++) {
-        const { segment, startTime, endTime } = overlappingSegments[i];
-        
-        // Calculate how this segment overlaps with our chunk
-        const segmentStartInChunk = Math.max(0, startTime - startTimeSeconds);
-        const segmentEndInChunk = Math.min(durationSeconds, endTime - startTimeSeconds);
-        const segmentDurationInChunk = segmentEndInChunk - segmentStartInChunk;
-        
-        if (segmentDurationInChunk <= 0) continue;
-        
-        // Create oscillator pair for this segment portion
-        const oscPair = createOscillatorPair(offlineCtx);
-        oscPair.merger.connect(masterGain);
-        
-        // Calculate where in the segment we're starting
-        const offsetIntoSegment = Math.max(0, startTimeSeconds - startTime);
-        const segmentProgress = offsetIntoSegment / (segment.duration / 1000);
-        
-        // Function to calculate frequency at a specific point in the segment
-        const getFrequencyAtProgress = (progress) => {
-            if (segment.type === 'stable') {
-                return segment.startFreq;
-            } else {
-                return segment.startFreq + (segment.endFreq - segment.startFreq) * progress;
-            }
-        };
-        
-        // Start oscillators at the correct chunk time
-        oscPair.left.start(segmentStartInChunk);
-        oscPair.right.start(segmentStartInChunk);
-        
-        // Set initial frequencies based on where we are in the segment
-        const initialFreq = getFrequencyAtProgress(segmentProgress);
-        updateOscillatorFrequencies(oscPair, initialFreq, baseTone, offlineCtx, segmentStartInChunk);
-        
-        // Set initial gain (use fade-in if at segment start)
-        if (offsetIntoSegment < 0.1) {
-            // Fade in at segment start
-            oscPair.leftGain.gain.setValueAtTime(0.001, segmentStartInChunk);
-            oscPair.rightGain.gain.setValueAtTime(0.001, segmentStartInChunk);
-            oscPair.leftGain.gain.exponentialRampToValueAtTime(1, segmentStartInChunk + 0.1);
-            oscPair.rightGain.gain.exponentialRampToValueAtTime(1, segmentStartInChunk + 0.1);
-        } else {
-            // Start at full volume if in middle of segment
-            oscPair.leftGain.gain.setValueAtTime(1, segmentStartInChunk);
-            oscPair.rightGain.gain.setValueAtTime(1, segmentStartInChunk);
-        }
-        
-        // If transition segment, update frequencies at regular intervals
-        if (segment.type === 'transition') {
-            const updateInterval = 0.05; // Update every 50ms
-            
-            // Calculate start and end progress for this chunk within the segment
-            const startProgress = segmentProgress;
-            const endProgress = (offsetIntoSegment + segmentDurationInChunk) / (segment.duration / 1000);
-            
-            // Schedule frequency changes
-            for (let p = startProgress; p <= endProgress; p += updateInterval / (segment.duration / 1000)) {
-                const timeInChunk = segmentStartInChunk + (p - startProgress) * (segment.duration / 1000);
-                if (timeInChunk >= segmentStartInChunk && timeInChunk <= segmentEndInChunk) {
-                    const freq = getFrequencyAtProgress(Math.min(1, p));
-                    updateOscillatorFrequencies(oscPair, freq, baseTone, offlineCtx, timeInChunk);
-                }
-            }
-        }
-        
-        // Apply fade-out if this is the end of the segment
-        const isSegmentEnd = Math.abs(segmentEndInChunk - durationSeconds) < 0.1 || 
-                             Math.abs(endTime - (startTimeSeconds + segmentEndInChunk)) < 0.1;
-                             
-        if (isSegmentEnd && i < overlappingSegments.length - 1) {
-            const fadeOutStart = segmentEndInChunk - Math.min(CROSSFADE_DURATION, segmentDurationInChunk/2);
-            oscPair.leftGain.gain.setValueAtTime(1, fadeOutStart);
-            oscPair.rightGain.gain.setValueAtTime(1, fadeOutStart);
-            oscPair.leftGain.gain.exponentialRampToValueAtTime(0.001, segmentEndInChunk);
-            oscPair.rightGain.gain.exponentialRampToValueAtTime(0.001, segmentEndInChunk);
-        }
-        
-        // Stop the oscillators
-        oscPair.left.stop(segmentEndInChunk + 0.01);
-        oscPair.right.stop(segmentEndInChunk + 0.01);
-    }
+    // Background noise controls apply immediately during playback
+    noiseTypeSelect.addEventListener('change', handleNoiseChange);
+    noiseLevelInput.addEventListener('input', handleNoiseChange);
     
-    // Set up a timer to report progress periodically during rendering
-    let renderStartTime = Date.now();
-    let progressReportInterval = setInterval(() => {
-        // Estimate progress based on elapsed time vs expected duration
-        const elapsed = (Date.now() - renderStartTime) / 1000;
-        const estimatedProgress = Math.min(95, (elapsed / durationSeconds) * 100);
-        if (progressCallback) progressCallback(estimatedProgress);
-    }, 100);
+    // Background track: choose a file or drop one onto the drop zone
+    trackFileInput.addEventListener('change', () => loadBackgroundTrack(trackFileInput.files[0]));
+    trackRemoveButton.addEventListener('click', removeBackgroundTrack);
+    trackLevelInput.addEventListener('input', handleTrackLevelChange);
+    trackDuckInput.addEventListener('input', handleTrackDuckChange);
+    trackDropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        trackDropZone.classList.add('dragging');
+    });
+    trackDropZone.addEventListener('dragleave', () => trackDropZone.classList.remove('dragging'));
+    trackDropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        trackDropZone.classList.remove('dragging');
+        loadBackgroundTrack(event.dataTransfer.files[0]);
+    });
+    instructionsTextarea.addEventListener('scroll', () => {
+        instructionsHighlights.scrollTop = instructionsTextarea.scrollTop;
+    });
+    updateInstructionDiagnostics();
     
-    // Render the audio
-    try {
-        const renderedBuffer = await offlineCtx.startRendering();
-        clearInterval(progressReportInterval);
-        return renderedBuffer;
-    } catch (error) {
-        clearInterval(progressReportInterval);
-        throw error;
-    }
-}
-
-// Combine multiple AudioBuffers into one
-function combineAudioChunks(audioChunks) {
-    if (audioChunks.length === 0) {
-        throw new Error("No audio chunks to combine");
-    }
+    // Preset library
+    savePresetButton.addEventListener('click', saveCurrentAsPreset);
+    renderPresetList();
     
-    if (audioChunks.length === 1) {
-        return audioChunks[0]; // Just return the single chunk
-    }
+    // Signal analyser, drawn only while it's open
+    analyserView.addEventListener('toggle', startAnalyser);
     
-    // Get total length and create a new buffer
-    const sampleRate = audioChunks[0].sampleRate;
-    const numChannels = audioChunks[0].numberOfChannels;
-    let totalLength = 0;
+    // Keep the timeline sharp when the page is resized
+    window.addEventListener('resize', drawTimeline);
     
-    // Calculate total length
-    for (const chunk of audioChunks) {
-        totalLength += chunk.length;
-    }
+    // Segment skipping
+    previousSegmentButton.addEventListener('click', skipToPreviousSegment);
+    nextSegmentButton.addEventListener('click', skipToNextSegment);
     
-    // Create new buffer of combined size
-    const combinedBuffer = new AudioBuffer({
-        numberOfChannels: numChannels,
-        length: totalLength,
-        sampleRate: sampleRate
+    // Seeking with the progress bar
+    progressContainer.addEventListener('pointerdown', handleProgressPointerDown);
+    progressContainer.addEventListener('pointermove', handleProgressPointerMove);
+    progressContainer.addEventListener('pointerup', handleProgressPointerUp);
+    progressContainer.addEventListener('pointercancel', () => {
+        progressContainer.classList.remove('scrubbing');
+        updateProgressDisplay();
     });
+    progressContainer.addEventListener('pointerleave', () => {
+        if (!progressContainer.classList.contains('scrubbing')) progressTooltip.hidden = true;
+    });
+    progressContainer.addEventListener('keydown', handleProgressKeydown);
     
-    // Copy data from each chunk
-    let position = 0;
-    for (const chunk of audioChunks) {
-        for (let channel = 0; channel < numChannels; channel++) {
-            const chunkData = chunk.getChannelData(channel);
-            const combinedData = combinedBuffer.getChannelData(channel);
-            
-            // Copy this chunk's data into the combined buffer
-            for (let i = 0; i < chunk.length; i++) {
-                combinedData[position + i] = chunkData[i];
-            }
-        }
-        position += chunk.length;
-    }
-    
-    return combinedBuffer;
-}
-
-// Add this immediately after the last function (after the closing brace of generateAndDownloadAudio)
-// This will set up the event listeners when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', function() {
-    // Connect play button to togglePlayPause function
-    playButton.addEventListener('click', togglePlayPause);
-    
-    // Connect restart button to handleRestart function
-    restartButton.addEventListener('click', handleRestart);
+    // Session files
+    exportSessionButton.addEventListener('click', exportSession);
+    importSessionButton.addEventListener('click', () => sessionFileInput.click());
+    sessionFileInput.addEventListener('change', () => {
+        importSession(sessionFileInput.files[0]);
+        sessionFileInput.value = '';
+    });
     
-    // Connect download button to generateAndDownloadAudio function
-    downloadButton.addEventListener('click', generateAndDownloadAudio);
+    // Share links
+    copyShareLinkButton.addEventListener('click', copyShareLink);
+    window.addEventListener('hashchange', loadSessionFromHash);
+    loadSessionFromHash();
 
     // Optional: Add event listener for space key to toggle play/pause
 document.addEventListener('keydown', function(event) {
     if (event.code === 'Space') {
-        // Exit immediately if we're in the textarea
-        if (document.activeElement === instructionsTextarea) {
+        // Exit immediately if we're typing in the instructions or session details
+        const active = document.activeElement;
+        if (active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && active.type === 'text'))) {
             return;
         }
         